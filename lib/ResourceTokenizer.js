@@ -1,5 +1,5 @@
 /*!
- * Copyright (c) 2020-2025 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2020-2026 Digital Bazaar, Inc. All rights reserved.
  */
 import * as base64url from 'base64url-universal';
 import {tokenizers} from '@bedrock/tokenizer';
@@ -197,6 +197,9 @@ export class ResourceTokenizer {
    * @param {object} options - Options to use.
    * @param {object} options.checkResults - The results from running a
    *   resource check.
+   * @param {object} [options.reservation] - An optional reservation with
+   *   `id`, `holdTimeout`, and `holdExpires`; if given, new acquisitions are
+   *   only held until `holdExpires` unless the reservation is committed.
    *
    * @returns {object} An object with `newTokenized` representing a new
    *   `tokenized` section for an acquisition record, `expires` representing
@@ -204,7 +207,7 @@ export class ResourceTokenizer {
    *   be permissible (when a full database record clean up can safely occur),
    *   and `ttl` for more granularly expiring individual acquisitions.
    */
-  applyAcquireRequest({checkResults} = {}) {
+  applyAcquireRequest({checkResults, reservation} = {}) {
     /* Compute the new TTL for the acquisition record by considering the
     previous value and the maximum TTL from the applied restrictions. The new
     TTL must be greater than or equal to the previous one unless it has been
@@ -213,8 +216,10 @@ export class ResourceTokenizer {
     as was required when the resources were first acquired. */
     const {trackedResources, maxRestrictionTtl} = checkResults;
     const {previousAcquisitionTtl: previousTtl} = this;
-    // new TTL must be no less than the previous TTL (unless it is zero)
-    const ttl = Math.max(previousTtl, maxRestrictionTtl);
+    // new TTL must be no less than the previous TTL (unless it is zero) and
+    // any reserved acquisitions must be tracked for as long as they are held
+    const ttl = Math.max(
+      previousTtl, maxRestrictionTtl, reservation?.holdTimeout ?? 0);
 
     // add new resources from request, skipping expired ones; prune request
     // using prune time that was used when pruning tokenized record to avoid
@@ -239,7 +244,12 @@ export class ResourceTokenizer {
       while(i < list.length && list[i].requested < requested) {
         i++;
       }
-      list.splice(i, 0, {count, requested});
+      const acquisition = {count, requested};
+      if(reservation) {
+        acquisition.reservationId = reservation.id;
+        acquisition.holdExpires = reservation.holdExpires;
+      }
+      list.splice(i, 0, acquisition);
     }
 
     // compute the new expires
@@ -252,6 +262,10 @@ export class ResourceTokenizer {
    * Creates a new `tokenized` section for an acquisition record by
    * applying a release request.
    *
+   * @param {object} [options] - Options to use.
+   * @param {Set} [options.reported] - The request entries for which any
+   *   excess is reported; defaults to every entry in the request.
+   *
    * @returns {object} An object with `newTokenized` representing a new
    *   `tokenized` section for an acquisition record and `excessResources`
    *   expressing requested resources that could not be released because they
@@ -260,7 +274,7 @@ export class ResourceTokenizer {
    *   (when a full database record clean up can safely occur), and `ttl` for
    *   more granularly expiring individual acquisitions.
    */
-  applyReleaseRequest() {
+  applyReleaseRequest({reported} = {}) {
     const {newTokenizerId, request} = this;
     const {newTokenized} = this._createNewTokenizedAcquisition();
     const entry = newTokenized[1] || newTokenized[0];
@@ -269,7 +283,8 @@ export class ResourceTokenizer {
     // policy in the request; dedupe resources before removing them
     const tokenizeMap = this.getTokenizeMap({tokenizerId: newTokenizerId});
     const excessResources = new Map();
-    for(const {resource, count, latest = false} of request) {
+    for(const requestEntry of request) {
+      const {resource, count, latest = false} = requestEntry;
       const tokenizedId = tokenizeMap.get(resource);
       let list = entry.resources[tokenizedId] || [];
       // entries are sorted, remove entries starting from beginning unless
@@ -302,14 +317,10 @@ export class ResourceTokenizer {
         // all resources released
         delete entry.resources[tokenizedId];
       }
-      if(toRemove > 0) {
+      if(toRemove > 0 && (!reported || reported.has(requestEntry))) {
         // track excess
-        const excess = excessResources.get(resource);
-        if(excess) {
-          excess.count += toRemove;
-        } else {
-          excessResources.set(resource, toRemove);
-        }
+        const excess = excessResources.get(resource) || 0;
+        excessResources.set(resource, excess + toRemove);
       }
     }
 
@@ -327,6 +338,97 @@ export class ResourceTokenizer {
     };
   }
 
+  /**
+   * Creates a new `tokenized` section for an acquisition record by
+   * committing or canceling the acquisitions of a reservation. Committed
+   * acquisitions are no longer released once their hold expires; canceled
+   * acquisitions are removed.
+   *
+   * @param {object} options - Options to use.
+   * @param {string} options.reservationId - The ID of the reservation.
+   * @param {boolean} [options.commit=false] - `true` to commit the
+   *   reservation, `false` to cancel it.
+   *
+   * @returns {object} An object with `found` set to whether any unexpired
+   *   acquisitions of the reservation were found, `newTokenized`
+   *   representing a new `tokenized` section for an acquisition record,
+   *   `expires` representing the earliest time that an expiration of all
+   *   tracked acquisitions would be permissible (when a full database record
+   *   clean up can safely occur), and `ttl` for more granularly expiring
+   *   individual acquisitions.
+   */
+  applyReservationRequest({reservationId, commit = false} = {}) {
+    // reserved acquisitions are found by reservation ID, not by resource ID,
+    // so no tokenizer rotation is performed
+    const {prunedTokenized} = this;
+    let found = false;
+    let newTokenized = [];
+    for(const {tokenizerId, resources} of prunedTokenized) {
+      const entry = {tokenizerId, resources: {}};
+      for(const key in resources) {
+        const list = [];
+        for(const acquisition of resources[key]) {
+          if(acquisition.reservationId !== reservationId) {
+            list.push(acquisition);
+            continue;
+          }
+          found = true;
+          if(commit) {
+            const {count, requested} = acquisition;
+            list.push({count, requested});
+          }
+        }
+        if(list.length > 0) {
+          entry.resources[key] = list;
+        }
+      }
+      if(Object.keys(entry.resources).length > 0) {
+        newTokenized.push(entry);
+      }
+    }
+    if(newTokenized.length === 0) {
+      newTokenized = [{
+        tokenizerId: prunedTokenized[prunedTokenized.length - 1].tokenizerId,
+        resources: {}
+      }];
+    }
+
+    // reuse previous TTL
+    const {previousAcquisitionTtl: ttl} = this;
+    const expires = _computeExpires({newTokenized, ttl});
+
+    return {found, newTokenized, expires, ttl};
+  }
+
+  /**
+   * Creates a new `tokenized` section for an acquisition record by
+   * removing every acquisition of the resources in the request, regardless
+   * of any `count` in the request.
+   *
+   * @returns {object} An object with `newTokenized` representing a new
+   *   `tokenized` section for an acquisition record, `expires` representing
+   *   the earliest time that an expiration of all tracked acquisitions would
+   *   be permissible (when a full database record clean up can safely occur),
+   *   and `ttl` for more granularly expiring individual acquisitions.
+   */
+  applyResetRequest() {
+    const {newTokenizerId, resourceIds} = this;
+    const {newTokenized} = this._createNewTokenizedAcquisition();
+    const entry = newTokenized[1] || newTokenized[0];
+
+    // remove all acquisitions of every resource in the request
+    const tokenizeMap = this.getTokenizeMap({tokenizerId: newTokenizerId});
+    for(const resource of resourceIds) {
+      delete entry.resources[tokenizeMap.get(resource)];
+    }
+
+    // reuse previous TTL
+    const {previousAcquisitionTtl: ttl} = this;
+    const expires = _computeExpires({newTokenized, ttl});
+
+    return {newTokenized, expires, ttl};
+  }
+
   /**
    * Creates a new `tokenized` section for an acquisition record by
    * performing any necessary tokenizer rotation and acquisition expiration.
@@ -440,10 +542,12 @@ function _pruneTokenized({acquisitionRecord, now}) {
     const entry = {tokenizerId, resources: {}};
     let empty = true;
     for(const key in resources) {
-      // filter out expired acquisitions and shallow copy to prevent
-      // changes to `tokenized`'s entries
+      // filter out expired acquisitions and reserved acquisitions whose hold
+      // has expired and shallow copy to prevent changes to `tokenized`'s
+      // entries
       entry.resources[key] = resources[key]
-        .filter(({requested}) => (requested + ttl) >= now)
+        .filter(({requested, holdExpires}) => (requested + ttl) >= now &&
+          (holdExpires === undefined || holdExpires >= now))
         .map(e => ({...e}));
       empty = false;
     }
@@ -0,0 +1,31 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import {config} from '@bedrock/core';
+
+const cfg = config['resource-restriction'] = {};
+
+// default policy for any restriction that does not set `onError`; applies
+// when a restriction's method throws or is not registered:
+// 'throw' - propagate the error, failing the whole check or acquisition
+// 'deny' - treat every requested resource the restriction matches as excess
+// 'allow' - authorize as if the restriction did not apply
+cfg.onError = 'throw';
+
+cfg.zones = {
+  // how long (in milliseconds) to remember that no zones have been inserted
+  // so that checks do not query zones when they are not in use; zones
+  // inserted by another process are not used by this process until this
+  // time has passed, so only set this if zones are never inserted while
+  // checks are running elsewhere; `0` disables the cache
+  noZonesCacheTtl: 0
+};
+
+cfg.http = {
+  // set to `true` to add HTTP routes for managing restrictions; an
+  // authorization handler must also be set via `http.setAuthorizeHandler()`
+  enabled: false,
+  basePath: '/resource-restriction',
+  // maximum number of restrictions returned per page
+  maxLimit: 100
+};
@@ -1,5 +1,5 @@
 /*!
- * Copyright (c) 2023 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2023-2026 Digital Bazaar, Inc. All rights reserved.
  */
 export async function getCount({
   collection, query = {}
@@ -20,3 +20,31 @@ export async function paginateGetResult({
     .limit(limit)
     .toArray();
 }
+
+/**
+ * Expands a request by adding an entry for every ancestor of each requested
+ * resource, where resource IDs are paths that use `/` to separate each level
+ * in the hierarchy (e.g., `org/project/api` has the ancestors `org/project`
+ * and `org`). Each ancestor entry has the same `count` and `requested` values
+ * as the entry for the resource it was derived from. The original entries
+ * are included as-is so callers can tell them apart from ancestor entries.
+ *
+ * @param {object} options - Options to use.
+ * @param {Array} options.request - The request to expand.
+ *
+ * @returns {Array} The expanded request.
+ */
+export function expandHierarchicalRequest({request}) {
+  const expanded = [];
+  for(const entry of request) {
+    expanded.push(entry);
+    const segments = entry.resource.split('/');
+    for(let i = segments.length - 1; i > 0; --i) {
+      const resource = segments.slice(0, i).join('/');
+      if(resource !== '') {
+        expanded.push({...entry, resource});
+      }
+    }
+  }
+  return expanded;
+}
@@ -0,0 +1,139 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as restrictions from './restrictions.js';
+import * as schemas from './schemas.js';
+import assert from 'assert-plus';
+import {asyncHandler} from '@bedrock/express';
+import {createValidateMiddleware as validate} from '@bedrock/validation';
+
+// load config defaults
+import './config.js';
+
+const {config, util: {BedrockError}} = bedrock;
+let AUTHORIZE_HANDLER;
+
+bedrock.events.on('bedrock-express.configure.routes', app => {
+  const cfg = config['resource-restriction'].http;
+  if(!cfg.enabled) {
+    return;
+  }
+
+  const routes = {
+    restrictions: `${cfg.basePath}/restrictions`,
+    restriction: `${cfg.basePath}/restrictions/:id`
+  };
+
+  // insert a restriction
+  app.post(
+    routes.restrictions,
+    _authorize({operation: 'insert'}),
+    validate({bodySchema: schemas.restriction}),
+    asyncHandler(async (req, res) => {
+      const {restriction} = await restrictions.insert(
+        {restriction: req.body});
+      const location = `${req.protocol}://${req.get('host')}` +
+        `${routes.restrictions}/${encodeURIComponent(restriction.id)}`;
+      res.status(201).location(location).json(restriction);
+    }));
+
+  // get a page of restrictions, optionally by zone and resource
+  app.get(
+    routes.restrictions,
+    _authorize({operation: 'getAll'}),
+    validate({querySchema: schemas.getRestrictionsQuery}),
+    asyncHandler(async (req, res) => {
+      const {zone, resource} = req.query;
+      const limit = Math.min(
+        parseInt(req.query.limit ?? 10, 10), cfg.maxLimit);
+      const offset = parseInt(req.query.offset ?? 0, 10);
+      const query = {};
+      if(zone !== undefined) {
+        query['restriction.zone'] = zone;
+      }
+      if(resource !== undefined) {
+        query['restriction.resource'] = resource;
+      }
+      const result = await restrictions.getAll({query, limit, offset});
+      res.json(result);
+    }));
+
+  // remove all restrictions for a zone and resource
+  app.delete(
+    routes.restrictions,
+    _authorize({operation: 'removeAll'}),
+    validate({querySchema: schemas.removeRestrictionsQuery}),
+    asyncHandler(async (req, res) => {
+      const {zone, resource} = req.query;
+      await restrictions.removeAll({zone, resource});
+      res.status(204).end();
+    }));
+
+  // get a restriction
+  app.get(
+    routes.restriction,
+    _authorize({operation: 'get'}),
+    asyncHandler(async (req, res) => {
+      const {restriction} = await restrictions.get({id: req.params.id});
+      res.json(restriction);
+    }));
+
+  // update (replace) a restriction
+  app.put(
+    routes.restriction,
+    _authorize({operation: 'update'}),
+    validate({bodySchema: schemas.restriction}),
+    asyncHandler(async (req, res) => {
+      if(req.body.id !== req.params.id) {
+        throw new BedrockError(
+          'Restriction ID does not match the URL.',
+          'DataError', {
+            public: true,
+            httpStatusCode: 400
+          });
+      }
+      await restrictions.update({restriction: req.body});
+      res.json(req.body);
+    }));
+
+  // remove a restriction
+  app.delete(
+    routes.restriction,
+    _authorize({operation: 'remove'}),
+    asyncHandler(async (req, res) => {
+      await restrictions.remove({id: req.params.id});
+      res.status(204).end();
+    }));
+});
+
+/**
+ * Sets the handler that authorizes every request to the HTTP API for
+ * managing restrictions. Until a handler is set, every request is denied.
+ *
+ * @param {object} options - Options to use.
+ * @param {Function} options.handler - The function to call with
+ *   `{req, operation}`, where `operation` is the name of the `restrictions`
+ *   function that the request will call (e.g., `insert` or `getAll`); it
+ *   must return (or resolve to) `true` to authorize the request.
+ */
+export function setAuthorizeHandler({handler} = {}) {
+  assert.func(handler, 'handler');
+  AUTHORIZE_HANDLER = handler;
+}
+
+// authorization is checked before any validation so that nothing about the
+// request is reported to unauthorized clients
+function _authorize({operation}) {
+  return asyncHandler(async (req, res, next) => {
+    if(!(AUTHORIZE_HANDLER && await AUTHORIZE_HANDLER({req, operation}))) {
+      throw new BedrockError(
+        'Permission denied.',
+        'NotAllowedError', {
+          public: true,
+          httpStatusCode: 403
+        });
+    }
+    next();
+  });
+}
@@ -1,7 +1,12 @@
 /*!
- * Copyright (c) 2020-2022 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2020-2026 Digital Bazaar, Inc. All rights reserved.
  */
+import * as middleware from './middleware.js';
 import * as resources from './resources.js';
 import * as restrictions from './restrictions.js';
+import * as zones from './zones.js';
 
-export {resources, restrictions};
+// load config defaults
+import './config.js';
+
+export {middleware, resources, restrictions, zones};
@@ -0,0 +1,7 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+
+export const logger = bedrock.loggers.get('app').child(
+  'bedrock-resource-restriction');
@@ -0,0 +1,114 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import {acquire} from './resources.js';
+import assert from 'assert-plus';
+
+const {util: {BedrockError}} = bedrock;
+
+/**
+ * Creates an express-style middleware that acquires resources for each HTTP
+ * request, passing a `QuotaExceededError` (HTTP 429) to `next` if the
+ * acquisition is not authorized.
+ *
+ * Each extractor function is called with `{req}` and may be async. The
+ * `RateLimit-Limit`, `RateLimit-Remaining`, and `RateLimit-Reset` headers
+ * are set from the applied restriction with the least `remaining` that
+ * reports it, and `Retry-After` is set on denial if the time at which the
+ * request would be authorized is known. The result of the acquisition is
+ * made available to later handlers as `req.resourceRestriction`.
+ *
+ * @param {object} options - Options to use.
+ * @param {Function} options.getAcquirerId - Returns the ID of the acquirer.
+ * @param {Function} options.getZones - Returns the list of zone IDs that
+ *   apply to the request.
+ * @param {Function} options.getRequest - Returns the list of resources to
+ *   acquire, as `{resource, count}` items; any `requested` value defaults to
+ *   the time the HTTP request was received.
+ * @param {Function} [options.getAcquirerMeta] - Returns any meta data about
+ *   the acquirer to pass to restrictions.
+ * @param {number} options.acquisitionTtl - The default TTL for acquisitions;
+ *   see `resources.acquire` for more details.
+ * @param {boolean} [options.hierarchical=false] - Set to `true` to treat
+ *   resource IDs as `/`-separated paths; see `resources.acquire`.
+ *
+ * @returns {Function} An express-style middleware.
+ */
+export function createAcquireMiddleware({
+  getAcquirerId, getZones, getRequest, getAcquirerMeta, acquisitionTtl,
+  hierarchical = false
+} = {}) {
+  assert.func(getAcquirerId, 'getAcquirerId');
+  assert.func(getZones, 'getZones');
+  assert.func(getRequest, 'getRequest');
+  assert.optionalFunc(getAcquirerMeta, 'getAcquirerMeta');
+  assert.number(acquisitionTtl, 'acquisitionTtl');
+  assert.bool(hierarchical, 'hierarchical');
+
+  return async function acquireResources(req, res, next) {
+    try {
+      const now = Date.now();
+      const [acquirerId, zones, request, acquirerMeta] = await Promise.all([
+        getAcquirerId({req}),
+        getZones({req}),
+        getRequest({req}),
+        getAcquirerMeta?.({req})
+      ]);
+      const result = await acquire({
+        acquirerId, acquirerMeta,
+        request: request.map(({requested = now, ...rest}) => ({
+          ...rest, requested
+        })),
+        acquisitionTtl, zones, hierarchical, details: true, now
+      });
+      req.resourceRestriction = result;
+      _setHeaders({res, result, now});
+      if(!result.authorized) {
+        const {excessResources, retryAfter} = result;
+        const details = {
+          httpStatusCode: 429,
+          public: true,
+          excessResources
+        };
+        if(retryAfter !== undefined) {
+          details.retryAfter = retryAfter;
+        }
+        throw new BedrockError(
+          'Resource restriction exceeded.', 'QuotaExceededError', details);
+      }
+    } catch(e) {
+      return next(e);
+    }
+    next();
+  };
+}
+
+function _setHeaders({res, result, now}) {
+  // report the most constrained enforced restriction
+  let decision;
+  for(const d of result.decisions) {
+    if(d.mode !== 'shadow' && d.remaining !== undefined &&
+      (decision === undefined || d.remaining < decision.remaining)) {
+      decision = d;
+    }
+  }
+  if(decision) {
+    if(decision.limit !== undefined) {
+      res.setHeader('RateLimit-Limit', decision.limit);
+    }
+    res.setHeader('RateLimit-Remaining', decision.remaining);
+    const reset = decision.resetAt ?? decision.retryAfter;
+    if(reset !== undefined) {
+      res.setHeader('RateLimit-Reset', _toDeltaSeconds({time: reset, now}));
+    }
+  }
+  if(!result.authorized && result.retryAfter !== undefined) {
+    res.setHeader(
+      'Retry-After', _toDeltaSeconds({time: result.retryAfter, now}));
+  }
+}
+
+function _toDeltaSeconds({time, now}) {
+  return Math.max(0, Math.ceil((time - now) / 1000));
+}
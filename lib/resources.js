@@ -4,10 +4,15 @@
 import * as bedrock from '@bedrock/core';
 import * as database from '@bedrock/mongodb';
 import assert from 'assert-plus';
+import {expandHierarchicalRequest} from './helpers.js';
+import {logger} from './logger.js';
 import {matchRequest} from './restrictions.js';
+import {randomUUID} from 'node:crypto';
 import {ResourceTokenizer} from './ResourceTokenizer.js';
 import {tokenizers} from '@bedrock/tokenizer';
 
+const {util: {BedrockError}} = bedrock;
+
 bedrock.events.on('bedrock-mongodb.ready', async () => {
   await database.openCollections([
     'resource-restriction-acquisition'
@@ -26,6 +31,14 @@ bedrock.events.on('bedrock-mongodb.ready', async () => {
       unique: false,
       expireAfterSeconds: 0
     }
+  }, {
+    // for getting the acquisitions of a reservation by its ID
+    collection: 'resource-restriction-acquisition',
+    fields: {'acquisition.reservations': 1},
+    options: {
+      unique: false,
+      partialFilterExpression: {'acquisition.reservations': {$exists: true}}
+    }
   }]);
 });
 
@@ -56,6 +69,17 @@ bedrock.events.on('bedrock-mongodb.ready', async () => {
  * @param {Array} options.zones - A list of zone IDs that are applicable to
  *   the acquisition and that will be used to determine which restrictions
  *   apply to the request.
+ * @param {boolean} [options.hierarchical=false] - Set to `true` to treat
+ *   resource IDs as `/`-separated paths so that each requested resource also
+ *   counts toward restrictions on each of its ancestors (e.g., `org/project`
+ *   and `org` for `org/project/api`).
+ * @param {boolean} [options.details=false] - Set to `true` to include a
+ *   `decisions` array in the result with the outcome of every applied
+ *   restriction: its `id`, `method`, `resource`, `authorized`, `excess`,
+ *   and `ttl`, `mode` if it is a shadow restriction, and any `limit`,
+ *   `used`, `remaining`, `resetAt`, and `retryAfter` values reported by its
+ *   method along with any `exceededTiers` or `decidedBy` of tiered and
+ *   composite restrictions.
  * @param {number} [options.now=Date.now()] - The current system time to use
  *   in milliseconds.
  *
@@ -64,10 +88,21 @@ bedrock.events.on('bedrock-mongodb.ready', async () => {
  *   cannot be fulfilled, the object also contains `excessResources` expressing
  *   the number of resources that caused an overage; if any resources in the
  *   request are not tracked by any restrictions they are reported as
- *   `untrackedResources` regardless of the value of `authorized`.
+ *   `untrackedResources` regardless of the value of `authorized`; if the
+ *   request is not authorized and every denying restriction reported when it
+ *   would authorize the request, `retryAfter` is set to the earliest
+ *   millisecond timestamp at which the whole request would be authorized; if
+ *   any shadow restrictions were applied, `shadow` contains their aggregated
+ *   `authorized` and `excessResources` and the IDs of any that would have
+ *   denied the request as `restrictions`; a would-be denial is also emitted
+ *   as a `bedrock-resource-restriction.shadowDenial` event; if the method of
+ *   any restriction failed and its `onError` policy is `deny` or `allow`,
+ *   `errors` lists the `id`, `method`, and `error` (`name` and `message`) of
+ *   each such restriction.
  */
 export async function check({
-  acquirerId, acquirerMeta, request, acquisitionTtl, zones, now = Date.now()
+  acquirerId, acquirerMeta, request, acquisitionTtl, zones,
+  hierarchical = false, details = false, now = Date.now()
 } = {}) {
   assert.string(acquirerId, 'acquirerId');
   assert.optionalObject(acquirerMeta, 'acquirerMeta');
@@ -76,23 +111,20 @@ export async function check({
   const acquisitionRecord = await _getAcquisitionRecord({acquirerId});
 
   // 2. Create tokenizer for resource IDs.
-  const resourceTokenizer = new ResourceTokenizer({acquirerId, request});
+  const resourceTokenizer = _createResourceTokenizer(
+    {acquirerId, request, hierarchical});
   await resourceTokenizer.process({acquisitionRecord, now});
 
   // 3. Run internal check helper to see if acquisition is possible.
   const checkResults = await _check({
     acquirerId, acquirerMeta,
-    request, zones, resourceTokenizer, acquisitionTtl, now
+    request, zones, resourceTokenizer, acquisitionTtl, hierarchical, now
   });
 
   // 4. Return only `authorized`, `excessResources`, `untrackedResources`,
-  // and `insufficientAcquirerMeta`.
-  const {
-    authorized, excessResources, untrackedResources, insufficientAcquirerMeta
-  } = checkResults;
-  return {
-    authorized, excessResources, untrackedResources, insufficientAcquirerMeta
-  };
+  // `insufficientAcquirerMeta`, and any `shadow` results.
+  return _finishCheck(
+    {acquirerId, request, zones, details, checkResults});
 }
 
 /**
@@ -120,6 +152,12 @@ export async function check({
  *   apply to the request.
  * @param {boolean} [options.forceAcquisition=false] - Forcibly marks the
  *   resources as acquired even if the request is not authorized.
+ * @param {boolean} [options.hierarchical=false] - Set to `true` to treat
+ *   resource IDs as `/`-separated paths so that each requested resource also
+ *   counts toward restrictions on each of its ancestors (e.g., `org/project`
+ *   and `org` for `org/project/api`).
+ * @param {boolean} [options.details=false] - Set to `true` to include a
+ *   `decisions` array in the result; see `check` for more details.
  * @param {number} [options.now=Date.now()] - The current system time to use
  *   in milliseconds.
  *
@@ -130,15 +168,115 @@ export async function check({
  *   tracked by any restrictions they are reported as `untrackedResources`; if
  *   any restrictions reported that the necessary `acquirerMeta` to approve
  *   acquisition was unsufficient (and not just unacceptable), then
- *   `insufficientAcquirerMeta` will be set to `true`.
+ *   `insufficientAcquirerMeta` will be set to `true`; any `retryAfter`,
+ *   `shadow`, and `errors` results are reported as with `check`.
  */
 export async function acquire({
   acquirerId, acquirerMeta,
-  request, acquisitionTtl, zones, forceAcquisition = false, now = Date.now()
+  request, acquisitionTtl, zones, forceAcquisition = false,
+  hierarchical = false, details = false, now = Date.now()
+} = {}) {
+  assert.string(acquirerId, 'acquirerId');
+  assert.optionalObject(acquirerMeta, 'acquirerMeta');
+
+  const {result} = await _acquire({
+    acquirerId, acquirerMeta, request, acquisitionTtl, zones,
+    forceAcquisition, hierarchical, details, now
+  });
+  return result;
+}
+
+/**
+ * Reserves resources for the acquirer identified by `acquirerId` if their
+ * acquisition is authorized. Reserved resources count toward restrictions
+ * like acquired resources, but they are only held until the reservation is
+ * committed or canceled or until `holdTimeout` passes, whichever comes
+ * first; once committed, they are acquired as with `acquire`.
+ *
+ * @param {object} options - Options to use.
+ * @param {string} options.acquirerId - The ID of the acquirer.
+ * @param {object} [options.acquirerMeta] - Optional metadata fields for the
+ *   acquirer; see `acquire`.
+ * @param {Array} options.request - The resources to reserve; see `acquire`.
+ * @param {number} options.acquisitionTtl - The default time, in
+ *   milliseconds, for a resource to be considered acquired; see `acquire`.
+ * @param {number} options.holdTimeout - The time, in milliseconds, after
+ *   which the reserved resources are automatically released if the
+ *   reservation has not been committed.
+ * @param {Array} options.zones - A list of zone IDs that are applicable to
+ *   the reservation; see `acquire`.
+ * @param {boolean} [options.hierarchical=false] - See `acquire`.
+ * @param {boolean} [options.details=false] - See `check`.
+ * @param {number} [options.now=Date.now()] - The current system time to use
+ *   in milliseconds.
+ *
+ * @returns {object} An object with the same values as the result of
+ *   `acquire`; if any resources were reserved, it also contains
+ *   `reservationId` and `holdExpires`, the millisecond timestamp at which the
+ *   reservation will be automatically released.
+ */
+export async function reserve({
+  acquirerId, acquirerMeta, request, acquisitionTtl, holdTimeout, zones,
+  hierarchical = false, details = false, now = Date.now()
 } = {}) {
   assert.string(acquirerId, 'acquirerId');
   assert.optionalObject(acquirerMeta, 'acquirerMeta');
+  assert.number(holdTimeout, 'holdTimeout');
+
+  const reservation = {
+    id: randomUUID(), holdTimeout, holdExpires: now + holdTimeout
+  };
+  const {result, recorded} = await _acquire({
+    acquirerId, acquirerMeta, request, acquisitionTtl, zones,
+    hierarchical, details, reservation, now
+  });
+  if(recorded) {
+    result.reservationId = reservation.id;
+    result.holdExpires = reservation.holdExpires;
+  }
+  return result;
+}
+
+/**
+ * Commits a reservation so that its reserved resources are acquired as with
+ * `acquire` and are no longer automatically released when its hold expires.
+ *
+ * @param {object} options - Options to use.
+ * @param {string} options.reservationId - The ID of the reservation.
+ * @param {number} [options.now=Date.now()] - The current system time to use
+ *   in milliseconds.
+ *
+ * @returns {Promise} Settles once the operation completes; a `NotFoundError`
+ *   is thrown if the reservation does not exist, has expired, or has
+ *   already been committed or canceled.
+ */
+export async function commit({reservationId, now = Date.now()} = {}) {
+  assert.string(reservationId, 'reservationId');
+  await _finishReservation({reservationId, commit: true, now});
+}
+
+/**
+ * Cancels a reservation, releasing its reserved resources.
+ *
+ * @param {object} options - Options to use.
+ * @param {string} options.reservationId - The ID of the reservation.
+ * @param {number} [options.now=Date.now()] - The current system time to use
+ *   in milliseconds.
+ *
+ * @returns {Promise} Settles once the operation completes; a `NotFoundError`
+ *   is thrown if the reservation does not exist, has expired, or has
+ *   already been committed or canceled.
+ */
+export async function cancel({reservationId, now = Date.now()} = {}) {
+  assert.string(reservationId, 'reservationId');
+  await _finishReservation({reservationId, commit: false, now});
+}
 
+async function _acquire({
+  acquirerId, acquirerMeta,
+  request, acquisitionTtl, zones, forceAcquisition = false,
+  hierarchical, details, reservation, now
+}) {
   /* Keep attempting to authorize acquisition and mark resources as
     acquired until success or check fails. This pattern handles the
     potential for concurrent operations that may alter whether a
@@ -149,7 +287,8 @@ export async function acquire({
   let acquisitionRecord = await _getAcquisitionRecord({acquirerId});
 
   // 2. Create tokenizer for resource IDs.
-  const resourceTokenizer = new ResourceTokenizer({acquirerId, request});
+  const resourceTokenizer = _createResourceTokenizer(
+    {acquirerId, request, hierarchical});
   await resourceTokenizer.process({acquisitionRecord, now});
 
   // TODO: implement timeout
@@ -157,19 +296,16 @@ export async function acquire({
     // 3. Run internal check helper to see if acquisition is possible.
     const checkResults = await _check({
       acquirerId, acquirerMeta,
-      request, zones, resourceTokenizer, acquisitionTtl, now
+      request, zones, resourceTokenizer, acquisitionTtl, hierarchical, now
     });
-    const {
-      authorized, excessResources, untrackedResources,
-      insufficientAcquirerMeta
-    } = checkResults;
 
     // 4. If authorization failed, return relevant results -- unless force
     //   acquisition flag is set.
-    if(!authorized && !forceAcquisition) {
+    if(!checkResults.authorized && !forceAcquisition) {
       return {
-        authorized, excessResources, untrackedResources,
-        insufficientAcquirerMeta
+        result: _finishCheck(
+          {acquirerId, request, zones, details, checkResults}),
+        recorded: false
       };
     }
 
@@ -177,20 +313,24 @@ export async function acquire({
     // Note: Expired acquired resources will not be pruned at this time.
     if(checkResults.trackedResources.size === 0) {
       return {
-        authorized, excessResources, untrackedResources,
-        insufficientAcquirerMeta
+        result: _finishCheck(
+          {acquirerId, request, zones, details, checkResults}),
+        recorded: false
       };
     }
 
     // 6. Authorization passed, now attempt to mark resources as acquired
     //   noting that a concurrent acquistion may cause recording to fail
     //   and then a loop to check again will be required.
-    if(await _record(
-      {acquirerId, acquisitionRecord, resourceTokenizer, checkResults, now})) {
+    if(await _record({
+      acquirerId, acquisitionRecord, resourceTokenizer, checkResults,
+      reservation, now
+    })) {
       // recording successful, return relevant results
       return {
-        authorized, excessResources, untrackedResources,
-        insufficientAcquirerMeta
+        result: _finishCheck(
+          {acquirerId, request, zones, details, checkResults}),
+        recorded: true
       };
     }
 
@@ -216,15 +356,21 @@ export async function acquire({
  *   resource identifier, number of that particular resource to release,
  *   and whether the earliest acquired (default) or latest acquired
  *   resources should be released, respectively.
+ * @param {boolean} [options.hierarchical=false] - Set to `true` to also
+ *   release the resources from each of their ancestors; this must match the
+ *   value used when the resources were acquired.
  * @param {number} [options.now=Date.now()] - The current system time to use
  *   in milliseconds.
  *
  * @returns {object} An object with `authorized` set to `true` and `expires`
  *   set to the earliest date that all remaining acquired resources expire, and
- *   `excessResources` expressing the number of resources that could not be
- *   released because they had not been acquired, which may be empty.
+ *   `excessResources` expressing the number of requested resources that could
+ *   not be released because they had not been acquired, which may be empty;
+ *   ancestors released in hierarchical mode are never reported.
  */
-export async function release({acquirerId, request, now = Date.now()} = {}) {
+export async function release({
+  acquirerId, request, hierarchical = false, now = Date.now()
+} = {}) {
   assert.string(acquirerId, 'acquirerId');
 
   /* Keep attempting to release resources until they are released atomically.
@@ -235,14 +381,17 @@ export async function release({acquirerId, request, now = Date.now()} = {}) {
   let acquisitionRecord = await _getAcquisitionRecord({acquirerId});
 
   // 2. Create tokenizer for resource IDs.
-  const resourceTokenizer = new ResourceTokenizer({acquirerId, request});
+  const resourceTokenizer = _createResourceTokenizer(
+    {acquirerId, request, hierarchical});
   await resourceTokenizer.process({acquisitionRecord, now});
 
   // TODO: implement timeout
   while(true) {
-    // 3. Build new `tokenized` entry for acquisition record from the request.
+    // 3. Build new `tokenized` entry for acquisition record from the request;
+    //   only report excess for requested resources, not for any ancestors
+    //   added in hierarchical mode as those may never have been tracked.
     const {newTokenized, excessResources, expires, ttl} =
-      resourceTokenizer.applyReleaseRequest();
+      resourceTokenizer.applyReleaseRequest({reported: new Set(request)});
 
     // 4. If `newTokenized` has no acquired resources left, remove the
     //   acquisition record and return on success.
@@ -275,11 +424,192 @@ export async function release({acquirerId, request, now = Date.now()} = {}) {
   }
 }
 
+/**
+ * Gets the current usage of every restriction that applies to the given
+ * resources without requesting or recording anything.
+ *
+ * @param {object} options - Options to use.
+ * @param {string} options.acquirerId - The ID of the acquirer.
+ * @param {object} [options.acquirerMeta] - Meta data about the acquirer, to
+ *   be used by restrictions.
+ * @param {Array} options.zones - A list of zone IDs that are applicable to
+ *   the resources.
+ * @param {Array} options.resources - A list of resource IDs.
+ * @param {boolean} [options.hierarchical=false] - Set to `true` to include
+ *   restrictions on the ancestors of the resources; see `check`.
+ * @param {number} [options.now=Date.now()] - The current system time to use
+ *   in milliseconds.
+ *
+ * @returns {Promise<object>} Resolves with an object with `usage`, an array
+ *   with the `id`, `method`, and `resource` of every applied restriction,
+ *   `mode` if it is a shadow restriction, and any `limit`, `used`,
+ *   `remaining`, and `resetAt` values reported by its method; if the method
+ *   of any restriction failed and its `onError` policy is `deny` or `allow`,
+ *   `errors` lists them as with `check`.
+ */
+export async function getUsage({
+  acquirerId, acquirerMeta, zones, resources, hierarchical = false,
+  now = Date.now()
+} = {}) {
+  assert.string(acquirerId, 'acquirerId');
+  assert.optionalObject(acquirerMeta, 'acquirerMeta');
+  assert.array(zones, 'zones');
+  assert.arrayOfString(resources, 'resources');
+  assert.bool(hierarchical, 'hierarchical');
+
+  // apply restrictions to a request for zero units of every resource so
+  // that they report their current usage
+  const request = resources.map(
+    resource => ({resource, count: 0, requested: now}));
+  const acquisitionRecord = await _getAcquisitionRecord({acquirerId});
+  const resourceTokenizer = _createResourceTokenizer(
+    {acquirerId, request, hierarchical});
+  await resourceTokenizer.process({acquisitionRecord, now});
+  const acquired = await resourceTokenizer.getUntokenizedAcquisitionMap();
+  const getAcquisitionMap = resourceTokenizer
+    .getUntokenizedAcquisitionMap.bind(resourceTokenizer);
+
+  const {restrictions} = await matchRequest(
+    {request, zones, acquirerId, acquirerMeta, hierarchical, now});
+  const restrictionRequest = hierarchical ?
+    expandHierarchicalRequest({request}) : request;
+  const usage = [];
+  const errors = [];
+  for(const restriction of restrictions) {
+    const result = await _applyRestriction({
+      restriction, errors,
+      options: {
+        acquirerId, acquirerMeta,
+        acquired, request: restrictionRequest, zones, now, getAcquisitionMap
+      }
+    });
+    const {id, method, resource, mode} = restriction.restriction;
+    usage.push({id, method, resource, ..._getUsage({mode, result})});
+  }
+
+  const result = {usage};
+  if(errors.length > 0) {
+    result.errors = errors;
+  }
+  return result;
+}
+
+/**
+ * Gets the current (unexpired) acquisitions of the given resources by an
+ * acquirer. Acquired resources are tracked via tokenized resource IDs, so
+ * only the acquisitions of the given resources can be reported.
+ *
+ * @param {object} options - Options to use.
+ * @param {string} options.acquirerId - The ID of the acquirer.
+ * @param {Array} options.resources - A list of resource IDs.
+ * @param {number} [options.now=Date.now()] - The current system time to use
+ *   in milliseconds.
+ *
+ * @returns {Promise<object>} Resolves with an object with `acquisitions`, an
+ *   array with `{resource, acquired}` for every given resource that has any
+ *   acquisitions, where `acquired` is a list of `{count, requested}`.
+ */
+export async function getAcquisitions({
+  acquirerId, resources, now = Date.now()
+} = {}) {
+  assert.string(acquirerId, 'acquirerId');
+  assert.arrayOfString(resources, 'resources');
+
+  const acquisitionRecord = await _getAcquisitionRecord({acquirerId});
+  const resourceTokenizer = new ResourceTokenizer(
+    {acquirerId, request: resources.map(resource => ({resource}))});
+  await resourceTokenizer.process({acquisitionRecord, now});
+  const acquired = await resourceTokenizer.getUntokenizedAcquisitionMap();
+  // only report what was acquired and when, not any internal reservation
+  // state, for resources that still have acquisitions
+  return {
+    acquisitions: [...acquired.entries()]
+      .filter(([, acquired]) => acquired.length > 0)
+      .map(([resource, acquired]) => ({
+        resource,
+        acquired: acquired.map(({count, requested}) => ({count, requested}))
+      }))
+  };
+}
+
+/**
+ * Resets the acquisitions of an acquirer, removing either all of its
+ * acquisitions or every acquisition of the given resources, regardless of
+ * when they were acquired.
+ *
+ * @param {object} options - Options to use.
+ * @param {string} options.acquirerId - The ID of the acquirer.
+ * @param {Array} [options.resources] - A list of resource IDs to remove the
+ *   acquisitions of; if not given, all acquisitions are removed.
+ * @param {number} [options.now=Date.now()] - The current system time to use
+ *   in milliseconds.
+ *
+ * @returns {Promise} Settles once the operation completes.
+ */
+export async function reset({acquirerId, resources, now = Date.now()} = {}) {
+  assert.string(acquirerId, 'acquirerId');
+  assert.optionalArrayOfString(resources, 'resources');
+
+  /* Keep attempting to reset acquisitions until they are reset atomically.
+    This pattern handles the potential for concurrent operations that may alter
+    the results. */
+
+  // 1. Get the acquisition record associated with `acquirerId`.
+  let acquisitionRecord = await _getAcquisitionRecord({acquirerId});
+
+  // 2. Create tokenizer for resource IDs, if any.
+  let resourceTokenizer;
+  if(resources) {
+    resourceTokenizer = new ResourceTokenizer(
+      {acquirerId, request: resources.map(resource => ({resource}))});
+    await resourceTokenizer.process({acquisitionRecord, now});
+  }
+
+  while(true) {
+    // 3. If no resources were given, remove the acquisition record and
+    //   return on success.
+    if(!resourceTokenizer) {
+      if(await _resetAcquisitionRecord({acquirerId, acquisitionRecord})) {
+        return;
+      }
+    } else {
+      // 4. Build new `tokenized` entry for acquisition record without the
+      //   given resources.
+      const {newTokenized, expires, ttl} =
+        resourceTokenizer.applyResetRequest();
+
+      // 5. If `newTokenized` has no acquired resources left, remove the
+      //   acquisition record, otherwise record the change; return on
+      //   success; do not upsert a record if none exists.
+      if(newTokenized.length === 1 &&
+        Object.keys(newTokenized[0].resources).length === 0) {
+        if(await _resetAcquisitionRecord({acquirerId, acquisitionRecord})) {
+          return;
+        }
+      } else if(await _updateAcquisitionRecord({
+        acquirerId, acquisitionRecord, newTokenized, expires, ttl,
+        upsert: false, now
+      })) {
+        return;
+      }
+    }
+
+    // 6. Get the acquisition record associated with `acquirerId` again
+    //   as a concurrent process has interfered in the reset.
+    acquisitionRecord = await _getAcquisitionRecord({acquirerId});
+
+    // 7. Process the new acquisition record as acquisitions may have changed
+    //   and the current tokenizer may have been rotated.
+    await resourceTokenizer?.process({acquisitionRecord, now});
+  }
+}
+
 async function _check({
   acquirerId, acquirerMeta,
-  request, zones, resourceTokenizer, acquisitionTtl, now
+  request, zones, resourceTokenizer, acquisitionTtl, hierarchical = false, now
 } = {}) {
-  // get already acquired resources that match `request`
+  // get already acquired resources that match `request` (which includes any
+  // ancestors of requested resources in hierarchical mode)
   const acquired = await resourceTokenizer.getUntokenizedAcquisitionMap();
 
   // enable restriction to ask for any other acquired resources that are
@@ -289,7 +619,13 @@ async function _check({
     .getUntokenizedAcquisitionMap.bind(resourceTokenizer);
 
   // get applicable restrictions
-  const {restrictions} = await matchRequest({request, zones});
+  const {restrictions} = await matchRequest(
+    {request, zones, acquirerId, acquirerMeta, hierarchical, now});
+
+  // restrictions are applied to the expanded request in hierarchical mode
+  // so that requested resources count toward their ancestors
+  const restrictionRequest = hierarchical ?
+    expandHierarchicalRequest({request}) : request;
 
   // aggregate excess and untracked resources and whether any restriction
   // indicated that the necessary `acquirerMeta` was insufficient (not just
@@ -301,52 +637,194 @@ async function _check({
   const resources = request.map(e => e.resource);
   let maxRestrictionTtl = 0;
   let insufficientAcquirerMeta = false;
+  // shadow restrictions are aggregated separately and never affect the
+  // enforced results
+  let shadow;
+  const decisions = [];
+  // the whole request can be retried once every denying restriction would
+  // authorize it; this time is unknown if any denying restriction does not
+  // report it
+  let retryAfter = 0;
+  // restrictions whose method failed and were handled per `onError` policy
+  const errors = [];
   for(const restriction of restrictions) {
-    const result = await restriction.apply({
-      acquirerId, acquirerMeta,
-      acquired, request, zones, now, getAcquisitionMap
+    const result = await _applyRestriction({
+      restriction, errors,
+      options: {
+        acquirerId, acquirerMeta,
+        acquired, request: restrictionRequest, zones, now, getAcquisitionMap
+      }
     });
-    // if any restriction reported `acquirerMeta` as insufficient, report it
-    insufficientAcquirerMeta = insufficientAcquirerMeta ||
-      result.insufficientAcquirerMeta === true;
-    // all restrictions must be authorized or none are not authorized
-    authorized = authorized && result.authorized;
     // get resources tracked by the restriction, defaulting to the specific
-    // resource that triggered the restriction
+    // resource that triggered the restriction; shadow restrictions track
+    // resources too so that their results are accurate once enforced
     const restrictionTrackedResources = result.trackedResources ||
       [restriction.restriction.resource];
     // add tracked resources
     restrictionTrackedResources.forEach(trackedResources.add, trackedResources);
-    if(!result.authorized) {
-      // record maximum excess count across all restricted resources
-      for(const resource of restrictionTrackedResources) {
-        const count = Math.max(
-          excessResources.get(resource) || 0, result.excess);
-        excessResources.set(resource, count);
+    // a restriction may attribute its excess to specific resources itself,
+    // otherwise the excess is attributed to every tracked resource
+    const restrictionExcessResources = result.authorized ? [] :
+      result.excessResources || restrictionTrackedResources.map(
+        resource => ({resource, count: result.excess}));
+    if(restriction.restriction.mode === 'shadow') {
+      shadow = shadow || {
+        authorized: true, excessResources: new Map(), restrictions: []
+      };
+      shadow.authorized = shadow.authorized && result.authorized;
+      _addExcess({
+        excessResources: shadow.excessResources, restrictionExcessResources
+      });
+      if(!result.authorized) {
+        shadow.restrictions.push(restriction.restriction.id);
+      }
+    } else {
+      // if any restriction reported `acquirerMeta` as insufficient, report it
+      insufficientAcquirerMeta = insufficientAcquirerMeta ||
+        result.insufficientAcquirerMeta === true;
+      // all restrictions must be authorized or none are not authorized
+      authorized = authorized && result.authorized;
+      _addExcess({excessResources, restrictionExcessResources});
+      if(!result.authorized && retryAfter !== undefined) {
+        retryAfter = result.retryAfter === undefined ?
+          undefined : Math.max(retryAfter, result.retryAfter);
       }
     }
     // update max restriction TTL
     const {ttl = acquisitionTtl} = result;
     maxRestrictionTtl = Math.max(maxRestrictionTtl, ttl);
+    decisions.push(_createDecision({restriction, result, ttl}));
   }
 
-  // subtract tracked resources to get untracked resources
+  // subtract tracked resources to get untracked resources; only requested
+  // resources (not their ancestors) are reported
   const untrackedResources = resources.filter(r => !trackedResources.has(r));
 
   // output results
-  return {
+  const results = {
     authorized,
     excessResources: [...excessResources.entries()].map(
       ([resource, count]) => ({resource, count})),
     untrackedResources,
     trackedResources,
     maxRestrictionTtl,
-    insufficientAcquirerMeta
+    insufficientAcquirerMeta,
+    decisions,
+    errors
+  };
+  if(!authorized && retryAfter !== undefined) {
+    results.retryAfter = retryAfter;
+  }
+  if(shadow) {
+    results.shadow = {
+      ...shadow,
+      excessResources: [...shadow.excessResources.entries()].map(
+        ([resource, count]) => ({resource, count}))
+    };
+  }
+  return results;
+}
+
+async function _applyRestriction({restriction, errors, options}) {
+  try {
+    return await restriction.apply(options);
+  } catch(e) {
+    const {restriction: {id, method, resource, onError}} = restriction;
+    const policy = onError ?? bedrock.config['resource-restriction'].onError;
+    if(policy === 'throw') {
+      throw e;
+    }
+    logger.error(
+      `Restriction "${id}" failed; applying "${policy}" policy.`, {error: e});
+    errors.push({id, method, error: {name: e.name, message: e.message}});
+    if(policy === 'allow') {
+      return {authorized: true, excess: 0, ttl: 0, trackedResources: []};
+    }
+    // deny: every requested resource the restriction matches is in excess
+    const resources = Array.isArray(resource) ? resource : [resource];
+    const excessResources = options.request
+      .filter(({resource}) => resources.includes(resource))
+      .map(({resource, count}) => ({resource, count}));
+    const excess = excessResources.reduce((sum, {count}) => sum + count, 0);
+    return {
+      authorized: false, excess, ttl: 0, trackedResources: [], excessResources
+    };
+  }
+}
+
+function _addExcess({excessResources, restrictionExcessResources}) {
+  // record maximum excess count across all restricted resources
+  for(const {resource, count} of restrictionExcessResources) {
+    excessResources.set(
+      resource, Math.max(excessResources.get(resource) || 0, count));
+  }
+}
+
+function _createDecision({
+  restriction: {restriction: {id, method, resource, mode}}, result, ttl
+}) {
+  const {authorized, excess} = result;
+  const decision = {
+    id, method, resource, authorized, excess, ttl,
+    ..._getUsage({mode, result})
   };
+  // include any details of how the restriction method decided
+  for(const key of ['retryAfter', 'exceededTiers', 'decidedBy']) {
+    if(result[key] !== undefined) {
+      decision[key] = result[key];
+    }
+  }
+  return decision;
+}
+
+function _getUsage({mode, result}) {
+  const usage = {};
+  if(mode === 'shadow') {
+    usage.mode = mode;
+  }
+  // include any optional values reported by the restriction method
+  for(const key of ['limit', 'used', 'remaining', 'resetAt']) {
+    if(result[key] !== undefined) {
+      usage[key] = result[key];
+    }
+  }
+  return usage;
+}
+
+function _finishCheck({acquirerId, request, zones, details, checkResults}) {
+  const {
+    authorized, excessResources, untrackedResources, insufficientAcquirerMeta,
+    retryAfter, shadow, decisions, errors
+  } = checkResults;
+  const result = {
+    authorized, excessResources, untrackedResources, insufficientAcquirerMeta
+  };
+  if(retryAfter !== undefined) {
+    result.retryAfter = retryAfter;
+  }
+  if(details) {
+    result.decisions = decisions;
+  }
+  if(errors.length > 0) {
+    result.errors = errors;
+  }
+  if(shadow) {
+    result.shadow = shadow;
+    // report any would-be denial by shadow restrictions without delaying
+    // or affecting the result
+    if(!shadow.authorized) {
+      bedrock.events.emitLater('bedrock-resource-restriction.shadowDenial', {
+        acquirerId, request, zones, shadow
+      }).catch(error => logger.error(
+        'Failed to emit shadow denial event.', {error}));
+    }
+  }
+  return result;
 }
 
 async function _record({
-  acquirerId, acquisitionRecord, resourceTokenizer, checkResults, now
+  acquirerId, acquisitionRecord, resourceTokenizer, checkResults,
+  reservation, now
 } = {}) {
   // convert `acquisitionRecord` into a mongodb upsert query that depends on
   // the previous resource numbers being unchanged (or the record not existing)
@@ -354,7 +832,7 @@ async function _record({
 
   // build new `tokenized` entry for acquisition record from request
   const {newTokenized, expires, ttl} = resourceTokenizer.applyAcquireRequest(
-    {checkResults});
+    {checkResults, reservation});
 
   // if `newTokenized` has no acquired resources left, remove the
   // acquisition record entirely
@@ -370,6 +848,84 @@ async function _record({
   });
 }
 
+async function _finishReservation({reservationId, commit, now}) {
+  /* Keep attempting to commit or cancel the reservation until it is done
+    atomically. This pattern handles the potential for concurrent operations
+    that may alter the results. */
+  while(true) {
+    // 1. Get the acquisition record with the reservation.
+    const acquisitionRecord = await _getReservationRecord({reservationId});
+    if(!acquisitionRecord) {
+      break;
+    }
+
+    // 2. Process the acquisition record to prune expired acquisitions,
+    //   including any reserved acquisitions whose hold has expired.
+    const {acquisition: {acquirerId}} = acquisitionRecord;
+    const resourceTokenizer = new ResourceTokenizer({acquirerId, request: []});
+    await resourceTokenizer.process({acquisitionRecord, now});
+
+    // 3. Build new `tokenized` entry with the reservation committed or
+    //   canceled.
+    const {found, newTokenized, expires, ttl} =
+      resourceTokenizer.applyReservationRequest({reservationId, commit});
+    if(!found) {
+      break;
+    }
+
+    // 4. If `newTokenized` has no acquired resources left, remove the
+    //   acquisition record, otherwise record the change; return on success.
+    if(newTokenized.length === 1 &&
+      Object.keys(newTokenized[0].resources).length === 0) {
+      if(await _removeAcquisitionRecord({acquirerId, acquisitionRecord})) {
+        return;
+      }
+    } else if(await _updateAcquisitionRecord({
+      acquirerId, acquisitionRecord, newTokenized, expires, ttl,
+      upsert: false, now
+    })) {
+      return;
+    }
+  }
+
+  throw new BedrockError(
+    'Reservation not found.',
+    'NotFoundError', {
+      httpStatusCode: 404,
+      public: true
+    });
+}
+
+async function _getReservationRecord({reservationId}) {
+  const query = {'acquisition.reservations': reservationId};
+  const projection = {_id: 0};
+  const collection = database.collections['resource-restriction-acquisition'];
+  return collection.findOne(query, {projection});
+}
+
+function _getReservationIds({tokenized}) {
+  const reservations = new Set();
+  for(const {resources} of tokenized) {
+    for(const key in resources) {
+      for(const {reservationId} of resources[key]) {
+        if(reservationId !== undefined) {
+          reservations.add(reservationId);
+        }
+      }
+    }
+  }
+  return [...reservations];
+}
+
+function _createResourceTokenizer({acquirerId, request, hierarchical}) {
+  // in hierarchical mode, ancestors of requested resources must be tokenized
+  // and tracked as well
+  if(hierarchical) {
+    request = expandHierarchicalRequest({request});
+  }
+  return new ResourceTokenizer({acquirerId, request});
+}
+
 export async function _getAcquisitionRecord({
   acquirerId, explain = false
 } = {}) {
@@ -436,6 +992,13 @@ export async function _updateAcquisitionRecord({
     'acquisition.ttl': ttl
   };
   const update = {$set};
+  // index the IDs of any reservations so they can be committed or canceled
+  const reservations = _getReservationIds({tokenized: newTokenized});
+  if(reservations.length > 0) {
+    $set['acquisition.reservations'] = reservations;
+  } else {
+    update.$unset = {'acquisition.reservations': ''};
+  }
   const dbOptions = {};
   if(upsert) {
     dbOptions.upsert = true;
@@ -480,6 +1043,37 @@ export async function _updateAcquisitionRecord({
   return false;
 }
 
+export async function _resetAcquisitionRecord({
+  acquirerId, acquisitionRecord, explain = false
+}) {
+  // existing `acquisitionRecord` is new if it has no `meta`, so there is
+  // nothing to delete, optimize away making the call
+  if(!acquisitionRecord.meta) {
+    return true;
+  }
+
+  // require the record's `sequence` to be unchanged in order to apply the
+  // delete (to ensure a concurrent change didn't intervene), just as when
+  // updating the record
+  const {acquisition: {sequence}} = acquisitionRecord;
+  const query = {
+    'acquisition.acquirerId': acquirerId,
+    'acquisition.sequence': sequence ?? {$exists: false}
+  };
+  const collection = database.collections['resource-restriction-acquisition'];
+
+  if(explain) {
+    // 'find().limit(1)' is used here because 'deleteOne()' doesn't return a
+    // cursor which allows the use of the explain function.
+    const cursor = await collection.find(query).limit(1);
+    return cursor.explain('executionStats');
+  }
+
+  const result = await collection.deleteOne(query);
+  // return `true` if something changed
+  return result.deletedCount > 0;
+}
+
 export async function _removeAcquisitionRecord({
   acquirerId, acquisitionRecord, explain = false
 }) {
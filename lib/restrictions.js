@@ -1,15 +1,33 @@
 /*!
- * Copyright (c) 2020-2025 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2020-2026 Digital Bazaar, Inc. All rights reserved.
  */
 import * as bedrock from '@bedrock/core';
 import * as database from '@bedrock/mongodb';
-import {getCount, paginateGetResult} from './helpers.js';
+import * as schemas from './schemas.js';
+import {
+  expandHierarchicalRequest, getCount, paginateGetResult
+} from './helpers.js';
 import assert from 'assert-plus';
-import moment from 'moment';
+import {compile} from '@bedrock/validation';
+import {getChains as getZoneChains} from './zones.js';
+import moment from 'moment-timezone';
 import {ResourceRestriction} from './ResourceRestriction.js';
 
 const {util: {BedrockError}} = bedrock;
 const RESTRICTION_METHODS = new Map();
+const METHOD_OPTIONS_VALIDATORS = new Map();
+// methods that apply to a set of resources given as an array
+const RESOURCE_SET_METHODS = new Set();
+// methods that combine child restrictions on the same resource(s)
+const COMPOSITE_METHODS = new Set(['allOf', 'anyOf']);
+const validateRestrictionSchema = compile({schema: schemas.restriction});
+// default maximum time a unit may be held via `concurrentLimit` before it is
+// automatically released
+const DEFAULT_HOLD_DURATION = 'P365D';
+// built-in methods with a `timezone` option
+const TIMEZONE_METHODS = new Set(['limitOverCalendarPeriod', 'schedule']);
+// weekdays in ISO order, i.e., starting on Monday
+const WEEKDAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
 
 bedrock.events.on('bedrock-mongodb.ready', async () => {
   await database.openCollections(['resource-restriction-restriction']);
@@ -24,6 +42,27 @@ bedrock.events.on('bedrock-mongodb.ready', async () => {
     collection: 'resource-restriction-restriction',
     fields: {'restriction.zone': 1},
     options: {unique: false}
+  }, {
+    // for getting the restrictions in a zone that match resources using a
+    // `glob` pattern by the literal prefix of the pattern; only restrictions
+    // that use a `glob` pattern are indexed
+    collection: 'resource-restriction-restriction',
+    fields: {'restriction.zone': 1, 'meta.globPrefix': 1},
+    options: {
+      unique: false,
+      partialFilterExpression: {'restriction.resourceMatch': 'glob'}
+    }
+  }, {
+    // for getting the restrictions for resources within zones that are
+    // effective at a particular time
+    collection: 'resource-restriction-restriction',
+    fields: {
+      'restriction.zone': 1,
+      'restriction.resource': 1,
+      'meta.notBefore': 1,
+      'meta.notAfter': 1
+    },
+    options: {unique: false}
   }]);
 });
 
@@ -32,18 +71,61 @@ bedrock.events.on('bedrock-mongodb.ready', async () => {
  * @typedef {object} ExplainObject
  * @property {string} zone - The ID of the zone that the
  *   restriction applies to.
- * @property {string} resource - The ID of the resource that
- *   the restriction applies to.
+ * @property {string|Array<string>} resource - The ID of the resource that
+ *   the restriction applies to or, for methods that pool several resources
+ *   together, such as `limitPoolOverDuration` and `maxDistinct`, the IDs of
+ *   every resource in the pool. Restrictions are rejected if `resource` is
+ *   not an array for such methods or is an array for any other method.
+ *   Sets of resources must be given as a list of exact resource IDs; they do
+ *   not support `resourceMatch` because held resources are only stored as
+ *   tokenized IDs that cannot be matched against a pattern.
  * @property {string} method - The method of restriction,
  *   which is used to identify a function that must be registered so it can
  *   be later used to apply the restriction.
  * @property {string} id - An id for the restriction.
+ * @property {string} [resourceMatch] - How `resource` is matched against
+ *   requested resources: `prefix` to match every resource ID that starts
+ *   with `resource` or `glob` to match every resource ID that matches the
+ *   `resource` pattern where `*` matches any sequence of characters; when
+ *   not given, `resource` must match exactly. When a pattern is used, the
+ *   restriction is applied separately to each matching requested resource.
+ * @property {boolean} [override] - Set to `true` to replace any restrictions
+ *   for the same `resource` that would otherwise be inherited from the
+ *   ancestors of `zone`.
+ * @property {boolean} [suppress] - Set to `true` to suppress any restrictions
+ *   for the same `resource` that would otherwise be inherited from the
+ *   ancestors of `zone`; a restriction that suppresses others is not itself
+ *   applied.
+ * @property {object} [acquirerSelector] - An optional selector that limits
+ *   the acquirers the restriction applies to; if not given, the restriction
+ *   applies to every acquirer. The selector may have `acquirerIds`, an array
+ *   of acquirer IDs, and `acquirerMeta`, an object with fields that must
+ *   match the same fields in an acquirer's `acquirerMeta`; a field may be set
+ *   to an array to match any of its values. If both are given, both must
+ *   match.
+ * @property {string} [mode='enforce'] - Set to `shadow` to evaluate the
+ *   restriction without enforcing it; the results of shadow restrictions are
+ *   reported separately and never cause a request to be denied.
+ * @property {string} [onError] - What to do if the restriction's method
+ *   throws or is not registered when the restriction is applied: `throw` to
+ *   propagate the error, `deny` to treat every requested resource that the
+ *   restriction matches as excess, or `allow` to authorize as if the
+ *   restriction did not apply; defaults to the `onError` value in the
+ *   `resource-restriction` bedrock config.
+ * @property {string} [notBefore] - An optional date-time before which the
+ *   restriction is not effective and therefore not applied.
+ * @property {string} [notAfter] - An optional date-time at (and after) which
+ *   the restriction is not effective and therefore not applied; the
+ *   restriction is kept in the database until it is removed.
  * @property {object} [methodOptions] - A dictionary of
  *   options to pass to the method function for applying the restriction.
  */
 
 /**
- * Inserts a restriction.
+ * Inserts a restriction. The restriction must use a registered method and,
+ * if the method registered a schema for its options, `methodOptions` must
+ * be valid according to that schema; otherwise a `ValidationError` is
+ * thrown.
  *
  * @param {object} options - The options to use.
  * @param {Restriction} options.restriction - An object with a set of parameters
@@ -54,12 +136,12 @@ bedrock.events.on('bedrock-mongodb.ready', async () => {
 export async function insert({restriction} = {}) {
   const collection = database.collections['resource-restriction-restriction'];
   const now = Date.now();
-  const meta = {created: now, updated: now};
   if(!restriction.id) {
     throw new TypeError(`"restriction.id" is required.`);
   }
+  _validateRestriction({restriction});
   const record = {
-    meta,
+    meta: _createMeta({restriction, now}),
     restriction
   };
   try {
@@ -79,7 +161,8 @@ export async function insert({restriction} = {}) {
 }
 
 /**
- * Inserts multiple restrictions into the database.
+ * Inserts multiple restrictions into the database. Every restriction is
+ * validated in the same way as with `insert` before any are inserted.
  *
  * @param {object} options - The options to use.
  * @param {Array} options.restrictions - An array of restrictions.
@@ -88,9 +171,11 @@ export async function insert({restriction} = {}) {
  */
 export async function bulkInsert({restrictions} = {}) {
   assert.array(restrictions, 'restrictions');
+  restrictions.forEach(restriction => _validateRestriction({restriction}));
   const now = Date.now();
-  const meta = {created: now, updated: now};
-  const records = restrictions.map(restriction => ({restriction, meta}));
+  const records = restrictions.map(restriction => ({
+    restriction, meta: _createMeta({restriction, now})
+  }));
   // allow unordered writes
   const writeOptions = {ordered: false};
   const collection = database.collections['resource-restriction-restriction'];
@@ -111,7 +196,8 @@ export async function bulkInsert({restrictions} = {}) {
 }
 
 /**
- * Updates an existing restriction, replacing it entirely.
+ * Updates an existing restriction, replacing it entirely. The restriction
+ * is validated in the same way as with `insert`.
  *
  * @param {object} options - The options to use.
  * @param {Restriction} options.restriction - An object with a set of parameters
@@ -122,6 +208,7 @@ export async function bulkInsert({restrictions} = {}) {
  *   `explain=true`.
  */
 export async function update({restriction, explain = false} = {}) {
+  _validateRestriction({restriction});
   const query = {
     'restriction.id': restriction.id
   };
@@ -130,6 +217,26 @@ export async function update({restriction, explain = false} = {}) {
     'meta.updated': Date.now(),
     restriction
   };
+  // replace any previous effective dates
+  const update = {$set};
+  const $unset = {};
+  for(const field of ['notBefore', 'notAfter']) {
+    if(restriction[field] === undefined) {
+      $unset[`meta.${field}`] = '';
+    } else {
+      $set[`meta.${field}`] = Date.parse(restriction[field]);
+    }
+  }
+  // replace any previous `glob` prefix
+  const globPrefix = _getGlobPrefix({restriction});
+  if(globPrefix === undefined) {
+    $unset['meta.globPrefix'] = '';
+  } else {
+    $set['meta.globPrefix'] = globPrefix;
+  }
+  if(Object.keys($unset).length > 0) {
+    update.$unset = $unset;
+  }
 
   if(explain) {
     // 'find().limit(1)' is used here because 'updateOne()' doesn't return a
@@ -138,7 +245,7 @@ export async function update({restriction, explain = false} = {}) {
     return cursor.explain('executionStats');
   }
 
-  const result = await collection.updateOne(query, {$set});
+  const result = await collection.updateOne(query, update);
   if(result.matchedCount === 0) {
     const details = {
       httpStatusCode: 404,
@@ -293,19 +400,48 @@ export async function remove({id, explain = false}) {
  * @param {Array} options.zones - A list of zone IDs that are applicable to
  *   the acquisition and that will be used to determine which restrictions
  *   apply to the request.
+ * @param {string} [options.acquirerId] - The ID of the acquirer; used to
+ *   exclude restrictions with an `acquirerSelector` that does not select it.
+ * @param {object} [options.acquirerMeta] - Optional metadata fields for the
+ *   acquirer; used to exclude restrictions with an `acquirerSelector` that
+ *   does not select it.
+ * @param {boolean} [options.hierarchical=false] - Set to `true` to treat
+ *   resource IDs as `/`-separated paths so that restrictions on each ancestor
+ *   of a requested resource are also matched.
+ * @param {number} [options.now=Date.now()] - The current system time to use
+ *   in milliseconds; restrictions that are not effective at this time are
+ *   not matched.
  * @param {boolean} [options.explain=false] - An optional explain boolean.
  *
  * @returns {Promise<object | ExplainObject>} Resolves with an object with
  *   `restrictions` with an array of applicable `ResourceRestriction` instances
  *   to be applied to the request or an ExplainObject if `explain=true`.
  */
-export async function matchRequest({request, zones, explain = false} = {}) {
+export async function matchRequest({
+  request, zones, acquirerId, acquirerMeta, hierarchical = false,
+  now = Date.now(), explain = false
+} = {}) {
   const restrictions = [];
 
+  if(hierarchical) {
+    request = expandHierarchicalRequest({request});
+  }
   const resourceIds = request.map(e => e.resource);
+
+  // expand zones to include every zone they inherit restrictions from
+  const {chains} = await getZoneChains({zones});
+  const allZones = [...new Set(chains.flat())];
+  // a given zone that is an ancestor of another given zone is already
+  // reached via that zone's chain; its own chain is ignored so that it
+  // cannot reintroduce restrictions overridden or suppressed closer to the
+  // start of the other chain
+  const leafChains = chains.filter(chain => !chains.some(
+    other => other.indexOf(chain[0]) > 0 && !chain.includes(other[0])));
+
   const query = {
-    'restriction.zone': {$in: zones},
-    'restriction.resource': {$in: resourceIds}
+    'restriction.zone': {$in: allZones},
+    $or: _getResourceQueries({resourceIds}),
+    ..._getEffectiveQuery({now})
   };
   const projection = {_id: 0};
   const collection = database.collections['resource-restriction-restriction'];
@@ -317,11 +453,34 @@ export async function matchRequest({request, zones, explain = false} = {}) {
 
   const records = await collection.find(query, {projection}).toArray();
 
+  // restrictions that do not select the acquirer must be excluded before
+  // considering zone inheritance so they cannot override restrictions that
+  // do apply (restrictions that are not effective are excluded by the query)
+  const applicable = _applyZoneInheritance({
+    records: records.filter(({restriction}) => _selectsAcquirer({
+      acquirerSelector: restriction.acquirerSelector,
+      acquirerId, acquirerMeta
+    })),
+    chains: leafChains
+  });
+
   // create `ResourceRestriction` instances for every restriction
-  for(const record of records) {
-    const {restriction, restriction: {method}} = record;
-    const fn = getMethodFunction({method});
-    restrictions.push(new ResourceRestriction({restriction, fn}));
+  const uniqueResourceIds = [...new Set(resourceIds)];
+  for(const {restriction} of applicable) {
+    const fn = _getLazyMethodFunction({method: restriction.method});
+    if(!_isPattern(restriction)) {
+      restrictions.push(new ResourceRestriction({restriction, fn}));
+      continue;
+    }
+    // create a `ResourceRestriction` instance for every requested resource
+    // that matches a pattern so that each of them is tracked individually
+    for(const resourceId of uniqueResourceIds) {
+      if(_matchesPattern({restriction, resourceId})) {
+        restrictions.push(new ResourceRestriction({
+          restriction: {...restriction, resource: resourceId}, fn
+        }));
+      }
+    }
   }
 
   return {restrictions};
@@ -334,18 +493,58 @@ export async function matchRequest({request, zones, explain = false} = {}) {
  * @param {string} options.method - An identifier for the restriction method.
  * @param {Function} options.fn - The function to call with the following
  *   signature:
- *   Promise<{authorized, excess}> method(
- *     {acquirerId, acquired, request, zones, restriction}).
+ *   Promise<{authorized, excess, ttl, trackedResources, excessResources}>
+ *   method({
+ *     acquirerId, acquirerMeta, acquired, request, zones, restriction, now,
+ *     getAcquisitionMap
+ *   }); the optional `excessResources` return value is an array of
+ *   `{resource, count}` that attributes excess to specific resources, if
+ *   not given, `excess` is attributed to every tracked resource; the
+ *   optional `limit`, `used` (units counted toward the limit, including any
+ *   requested units), `remaining` (units that may still be acquired), and
+ *   `resetAt` (millisecond timestamp when the limit resets) return values
+ *   are included in detailed results and usage; the optional `retryAfter`
+ *   return value is the earliest millisecond timestamp at which a denied
+ *   request would be authorized by the restriction.
+ * @param {object} [options.schema] - An optional JSON schema for the
+ *   `methodOptions` of restrictions that use the method; if given,
+ *   restrictions with invalid `methodOptions` will be rejected when they are
+ *   inserted or updated.
+ * @param {boolean} [options.resourceSet=false] - Set to `true` if the method
+ *   applies to a set of resources given as an array via `resource`; such
+ *   restrictions must not use `resourceMatch`. Otherwise, `resource` must be
+ *   a single resource ID (or pattern).
  */
-export function registerMethod({method, fn}) {
-  // TODO: validate `method` and `fn`
+export function registerMethod({
+  method, fn, schema, resourceSet = false
+} = {}) {
+  if(typeof method !== 'string') {
+    throw new TypeError('"method" must be a string.');
+  }
   if(typeof fn !== 'function') {
     throw new TypeError('"fn" must be a function.');
   }
+  assert.optionalObject(schema, 'schema');
+  assert.bool(resourceSet, 'resourceSet');
 
   if(RESTRICTION_METHODS.has(method)) {
     throw new Error(`Restriction method "${method}" is already registered.`);
   }
+  if(schema) {
+    // validate `methodOptions` within the restriction so that the path to
+    // any invalid field is reported relative to the restriction
+    METHOD_OPTIONS_VALIDATORS.set(method, compile({
+      schema: {
+        title: schema.title ?? `${method} Method Options`,
+        type: 'object',
+        required: ['methodOptions'],
+        properties: {methodOptions: schema}
+      }
+    }));
+  }
+  if(resourceSet) {
+    RESOURCE_SET_METHODS.add(method);
+  }
   RESTRICTION_METHODS.set(method, fn);
 }
 
@@ -366,10 +565,838 @@ export function getMethodFunction({method}) {
 }
 
 async function _limitOverDuration({
+  /*acquirerId, */ acquirerMeta, acquired,
+  request, /*zones,*/ restriction, now = Date.now()
+}) {
+  const {methodOptions: {limit, duration, tiers}} = restriction;
+
+  if(!tiers) {
+    // single limit
+    const {
+      excess, ttl, limit: resolvedLimit, used, remaining, resetAt, retryAfter,
+      insufficientAcquirerMeta
+    } = _applyLimitOverDuration(
+      {limit, duration, acquirerMeta, acquired, request, restriction, now});
+    const result = {
+      authorized: excess === 0,
+      excess,
+      // how long this restriction applies to acquired resources; i.e., how
+      // long acquisitions must be tracked
+      ttl,
+      limit: resolvedLimit,
+      used,
+      remaining
+    };
+    if(resetAt !== undefined) {
+      result.resetAt = resetAt;
+    }
+    if(retryAfter !== undefined) {
+      result.retryAfter = retryAfter;
+    }
+    if(insufficientAcquirerMeta !== undefined) {
+      result.insufficientAcquirerMeta = insufficientAcquirerMeta;
+    }
+    return result;
+  }
+
+  // apply every tier to the same acquisitions, reporting each tier that
+  // was exceeded and the greatest excess across all of them; the request
+  // can only be retried once every exceeded tier allows it
+  let excess = 0;
+  let maxTtl = 0;
+  // the limit, usage, and reset time reported are those of the tier with the
+  // least remaining, preferring an exceeded tier over one that is not
+  let tierLimit;
+  let tierUsed;
+  let tierResetAt;
+  let tierExceeded = false;
+  let remaining = Infinity;
+  let retryAfter = 0;
+  let insufficientAcquirerMeta;
+  const exceededTiers = [];
+  for(const [index, {limit, duration}] of tiers.entries()) {
+    const result = _applyLimitOverDuration(
+      {limit, duration, acquirerMeta, acquired, request, restriction, now});
+    const exceeded = result.excess > 0;
+    if(result.remaining < remaining ||
+      (result.remaining === remaining && exceeded && !tierExceeded)) {
+      remaining = result.remaining;
+      tierLimit = result.limit;
+      tierUsed = result.used;
+      tierResetAt = result.resetAt;
+      tierExceeded = exceeded;
+    }
+    if(result.excess > 0) {
+      exceededTiers.push({
+        index, limit: result.limit, duration, excess: result.excess
+      });
+      excess = Math.max(excess, result.excess);
+      if(retryAfter !== undefined) {
+        retryAfter = result.retryAfter === undefined ?
+          undefined : Math.max(retryAfter, result.retryAfter);
+      }
+    }
+    maxTtl = Math.max(maxTtl, result.ttl);
+    if(result.insufficientAcquirerMeta !== undefined) {
+      insufficientAcquirerMeta = insufficientAcquirerMeta ||
+        result.insufficientAcquirerMeta;
+    }
+  }
+
+  const result = {
+    authorized: excess === 0,
+    excess,
+    // acquisitions must be tracked for as long as the longest tier
+    ttl: maxTtl,
+    limit: tierLimit,
+    used: tierUsed,
+    remaining,
+    exceededTiers
+  };
+  if(tierResetAt !== undefined) {
+    result.resetAt = tierResetAt;
+  }
+  if(excess > 0 && retryAfter !== undefined) {
+    result.retryAfter = retryAfter;
+  }
+  if(insufficientAcquirerMeta !== undefined) {
+    result.insufficientAcquirerMeta = insufficientAcquirerMeta;
+  }
+  return result;
+}
+
+async function _concurrentLimit({
+  /*acquirerId, acquirerMeta, */ acquired,
+  request, /*zones,*/ restriction, now = Date.now()
+}) {
+  const {
+    methodOptions: {limit, holdDuration = DEFAULT_HOLD_DURATION}
+  } = restriction;
+
+  // held units are counted until they are released; to prevent units that
+  // are never released from being held forever, units that have been held
+  // for longer than `holdDuration` are considered automatically released
+  const parsedDuration = moment.duration(holdDuration);
+  const startTime = now - parsedDuration.asMilliseconds();
+
+  // total all currently held units regardless of when they were acquired
+  const acquisitions = acquired.get(restriction.resource) || [];
+  let total = 0;
+  for(const {count, requested} of acquisitions) {
+    if(requested >= startTime) {
+      total += count;
+    }
+  }
+
+  // add all new acquisitions
+  for(const {resource, count, requested} of request) {
+    if(resource !== restriction.resource || requested < startTime) {
+      continue;
+    }
+    total += count;
+  }
+
+  // excess is if the total of held units plus new units is over the limit
+  const excess = Math.max(0, total - limit);
+
+  return {
+    authorized: excess === 0,
+    excess,
+    // held units must be tracked until they are released or automatically
+    // released after `holdDuration`
+    ttl: parsedDuration.asMilliseconds(),
+    limit,
+    used: total,
+    remaining: Math.max(0, limit - total)
+  };
+}
+
+async function _tokenBucket({
+  /*acquirerId, acquirerMeta, */ acquired,
+  request, /*zones,*/ restriction, now = Date.now()
+}) {
+  const {methodOptions: {capacity, refillAmount, refillInterval}} = restriction;
+
+  // the bucket is refilled continuously at `refillAmount` tokens per
+  // `refillInterval`; the replay below starts with a full bucket at the
+  // oldest tracked acquisition, so acquisitions are tracked for one interval
+  // longer than the time needed to refill an empty bucket; this ensures that
+  // the deficit left by any acquisition that has just aged out of the window
+  // has been refilled and that the deficit left by every acquisition that
+  // has not is replayed
+  const interval = moment.duration(refillInterval).asMilliseconds();
+  const ttl = (Math.ceil(capacity / refillAmount) + 1) * interval;
+  const startTime = now - ttl;
+
+  // build a list of previous and new acquisitions, in `requested` order,
+  // ignoring any that are too old to affect the bucket; previous acquisitions
+  // are ordered before new ones that were requested at the same time
+  const events = [];
+  const acquisitions = acquired.get(restriction.resource) || [];
+  for(const {count, requested} of acquisitions) {
+    if(requested >= startTime) {
+      events.push({count, requested, isNew: false});
+    }
+  }
+  for(const {resource, count, requested} of request) {
+    if(resource !== restriction.resource || requested < startTime) {
+      continue;
+    }
+    events.push({count, requested, isNew: true});
+  }
+  events.sort((a, b) => (a.requested - b.requested) || (a.isNew - b.isNew));
+
+  // replay acquisitions starting with a full bucket; previous acquisitions
+  // always consume their tokens (they may have been forced, leaving the bucket
+  // in deficit), new acquisitions are in excess by however many of their
+  // tokens are not available
+  let tokens = capacity;
+  let lastRequested = now;
+  let excess = 0;
+  for(const [index, {count, requested, isNew}] of events.entries()) {
+    if(index > 0) {
+      tokens = _refillTokens({
+        tokens, capacity, refillAmount, interval,
+        elapsed: requested - lastRequested
+      });
+    }
+    lastRequested = requested;
+    if(!isNew) {
+      tokens -= count;
+      continue;
+    }
+    const available = Math.max(0, Math.floor(tokens));
+    const granted = Math.min(count, available);
+    excess += count - granted;
+    tokens -= granted;
+  }
+
+  // report usage as of now; tokens consumed by the last acquisition are
+  // refilled from then on
+  tokens = _refillTokens({
+    tokens, capacity, refillAmount, interval,
+    elapsed: Math.max(0, now - lastRequested)
+  });
+  const remaining = Math.max(0, Math.floor(tokens));
+
+  return {
+    authorized: excess === 0,
+    excess,
+    // how long this restriction applies to acquired resources; i.e., how
+    // long acquisitions must be tracked
+    ttl,
+    limit: capacity,
+    used: capacity - remaining,
+    remaining
+  };
+}
+
+function _refillTokens({tokens, capacity, refillAmount, interval, elapsed}) {
+  return Math.min(capacity, tokens + elapsed / interval * refillAmount);
+}
+
+async function _limitOverCalendarPeriod({
+  /*acquirerId, */ acquirerMeta, acquired,
+  request, /*zones,*/ restriction, now = Date.now()
+}) {
+  const {
+    methodOptions: {limit, period, timezone = 'UTC', periodStartField}
+  } = restriction;
+
+  // determine the current period, anchoring it to a per-acquirer period
+  // start if one is available; an invalid period start is reported as
+  // insufficient and the period is aligned to calendar boundaries instead
+  let anchor;
+  let insufficientAcquirerMeta;
+  const periodStart = periodStartField === undefined ?
+    undefined : acquirerMeta?.[periodStartField];
+  if(periodStart !== undefined) {
+    anchor = _parseTime({time: periodStart, timezone});
+    insufficientAcquirerMeta = anchor === undefined;
+  }
+  const {startTime, endTime} = _getCalendarPeriod(
+    {now, period, timezone, anchor});
+
+  // go through acquisitions list [{count, requested}], ignoring
+  // any acquisitions outside of the current period, totaling the rest
+  const acquisitions = acquired.get(restriction.resource) || [];
+  let total = 0;
+  for(const {count, requested} of acquisitions) {
+    if(requested >= startTime && requested < endTime) {
+      total += count;
+    }
+  }
+
+  // add new acquisitions that fall into the current period
+  for(const {resource, count, requested} of request) {
+    if(resource !== restriction.resource ||
+      requested < startTime || requested >= endTime) {
+      continue;
+    }
+    total += count;
+  }
+
+  // excess is if the total of acquisitions in the period plus new
+  // acquisitions is over the limit
+  const excess = Math.max(0, total - limit);
+
+  const result = {
+    authorized: excess === 0,
+    excess,
+    // acquisitions must be tracked until the end of the current period,
+    // including those made at the very start of it
+    ttl: endTime - startTime,
+    limit,
+    used: total,
+    remaining: Math.max(0, limit - total),
+    resetAt: endTime
+  };
+  if(insufficientAcquirerMeta !== undefined) {
+    result.insufficientAcquirerMeta = insufficientAcquirerMeta;
+  }
+  return result;
+}
+
+async function _limitPoolOverDuration({
+  /*acquirerId, acquirerMeta, acquired,*/ request,
+  /*zones,*/ restriction, now = Date.now(), getAcquisitionMap
+}) {
+  const {
+    resource: resourceIds, methodOptions: {limit, duration, weights = {}}
+  } = restriction;
+
+  // determine the earliest starting time for the duration; rounded down to
+  // second-level precision
+  const parsedDuration = moment.duration(duration);
+  const startTime = moment(now).subtract(parsedDuration).unix() * 1000;
+
+  // total the weighted acquisitions of every resource in the pool, ignoring
+  // any acquisitions before the period started
+  const acquiredPool = await getAcquisitionMap({resourceIds});
+  let total = 0;
+  for(const resourceId of resourceIds) {
+    const weight = weights[resourceId] ?? 1;
+    const acquisitions = acquiredPool.get(resourceId) ?? [];
+    for(const {count, requested} of acquisitions) {
+      if(requested >= startTime) {
+        total += count * weight;
+      }
+    }
+  }
+
+  // add new acquisitions that fall into the period after the start time in
+  // request order; any units that do not fit into what remains of the limit
+  // are attributed as excess to the resource that was requested
+  let excess = 0;
+  const excessResources = new Map();
+  for(const {resource, count, requested} of request) {
+    if(!resourceIds.includes(resource) || requested < startTime) {
+      continue;
+    }
+    const weight = weights[resource] ?? 1;
+    const fit = weight === 0 ? count :
+      Math.min(count, Math.max(0, Math.floor((limit - total) / weight)));
+    total += fit * weight;
+    if(fit < count) {
+      excess += (count - fit) * weight;
+      excessResources.set(
+        resource, (excessResources.get(resource) ?? 0) + count - fit);
+    }
+  }
+
+  return {
+    authorized: excess === 0,
+    excess,
+    // how long this restriction applies to acquired resources; i.e., how
+    // long acquisitions must be tracked
+    ttl: parsedDuration.asMilliseconds(),
+    // track every resource in the pool
+    trackedResources: resourceIds,
+    limit,
+    used: total,
+    remaining: Math.max(0, limit - total),
+    excessResources: [...excessResources.entries()].map(
+      ([resource, count]) => ({resource, count}))
+  };
+}
+
+async function _maxDistinct({
+  /*acquirerId, acquirerMeta, acquired,*/ request,
+  /*zones,*/ restriction, now = Date.now(), getAcquisitionMap
+}) {
+  const {
+    resource: resourceIds,
+    methodOptions: {limit, holdDuration = DEFAULT_HOLD_DURATION}
+  } = restriction;
+
+  // like `concurrentLimit`, resources are held until they are released or
+  // until they have been held for longer than `holdDuration`
+  const parsedDuration = moment.duration(holdDuration);
+  const startTime = now - parsedDuration.asMilliseconds();
+
+  // determine which resources in the set are currently held; a resource is
+  // held if any units of it are held
+  const acquiredSet = await getAcquisitionMap({resourceIds});
+  const held = new Set();
+  for(const resourceId of resourceIds) {
+    const acquisitions = acquiredSet.get(resourceId) ?? [];
+    let total = 0;
+    for(const {count, requested} of acquisitions) {
+      if(requested >= startTime) {
+        total += count;
+      }
+    }
+    if(total > 0) {
+      held.add(resourceId);
+    }
+  }
+
+  // add new acquisitions in request order; acquiring more units of an already
+  // held resource is always allowed, any other resource that would exceed the
+  // limit has all of its requested units attributed as excess
+  let excess = 0;
+  const excessResources = new Map();
+  for(const {resource, count, requested} of request) {
+    if(!resourceIds.includes(resource) || requested < startTime ||
+      count <= 0 || held.has(resource)) {
+      continue;
+    }
+    if(held.size < limit) {
+      held.add(resource);
+      continue;
+    }
+    excess += count;
+    excessResources.set(
+      resource, (excessResources.get(resource) ?? 0) + count);
+  }
+
+  return {
+    authorized: excess === 0,
+    excess,
+    // held resources must be tracked until they are released or
+    // automatically released after `holdDuration`
+    ttl: parsedDuration.asMilliseconds(),
+    // track every resource in the set so that releasing any of them frees
+    // its slot
+    trackedResources: resourceIds,
+    limit,
+    used: held.size,
+    remaining: Math.max(0, limit - held.size),
+    excessResources: [...excessResources.entries()].map(
+      ([resource, count]) => ({resource, count}))
+  };
+}
+
+async function _cooldown({
   /*acquirerId, acquirerMeta, */ acquired,
   request, /*zones,*/ restriction, now = Date.now()
 }) {
-  const {methodOptions: {limit, duration}} = restriction;
+  const {methodOptions: {interval}} = restriction;
+
+  // only acquisitions within the last `interval` can prevent new ones
+  const parsedInterval = moment.duration(interval).asMilliseconds();
+  const startTime = now - parsedInterval;
+
+  // find the most recent previous acquisition
+  let lastRequested;
+  const acquisitions = acquired.get(restriction.resource) || [];
+  for(const {count, requested} of acquisitions) {
+    if(count > 0 && requested >= startTime &&
+      (lastRequested === undefined || requested > lastRequested)) {
+      lastRequested = requested;
+    }
+  }
+
+  // add new acquisitions in `requested` order; every unit that is requested
+  // before `interval` has passed since the last unit was acquired is excess,
+  // including all but one unit of an acquisition with a `count` over one
+  const newAcquisitions = request
+    .filter(({resource, count, requested}) =>
+      resource === restriction.resource && count > 0 && requested >= startTime)
+    .sort((a, b) => a.requested - b.requested);
+  let excess = 0;
+  for(const {count, requested} of newAcquisitions) {
+    if(lastRequested !== undefined &&
+      requested - lastRequested < parsedInterval) {
+      excess += count;
+      continue;
+    }
+    excess += count - 1;
+    lastRequested = requested;
+  }
+
+  const result = {
+    authorized: excess === 0,
+    excess,
+    // acquisitions only need to be tracked until the cooldown has passed
+    ttl: parsedInterval
+  };
+  if(excess > 0) {
+    // the time at which the next acquisition will be allowed
+    result.retryAfter = lastRequested + parsedInterval;
+  }
+  return result;
+}
+
+async function _schedule({
+  /*acquirerId, acquirerMeta, acquired, */ request,
+  /*zones,*/ restriction/*, now = Date.now()*/
+}) {
+  const {methodOptions: {timezone = 'UTC', windows, blackouts = []}} =
+    restriction;
+
+  // every new acquisition that is requested outside of the allowed windows
+  // or during a blackout is excess
+  let excess = 0;
+  for(const {resource, count, requested} of request) {
+    if(resource !== restriction.resource) {
+      continue;
+    }
+    const allowed =
+      (windows === undefined ||
+        windows.some(window => _inWindow({window, timezone, requested}))) &&
+      !blackouts.some(({start, end}) =>
+        requested >= Date.parse(start) && requested < Date.parse(end));
+    if(!allowed) {
+      excess += count;
+    }
+  }
+
+  return {
+    authorized: excess === 0,
+    excess,
+    // check is at a point in time, no need to track
+    ttl: 0
+  };
+}
+
+async function _allOf(options) {
+  return _applyComposite.call(this, {options, every: true});
+}
+
+async function _anyOf(options) {
+  return _applyComposite.call(this, {options, every: false});
+}
+
+// add built-in method that checks limits over a period
+registerMethod({
+  method: 'limitOverDuration', fn: _limitOverDuration,
+  schema: schemas.limitOverDuration
+});
+// add built-in method that checks limits on concurrently held resources
+registerMethod({
+  method: 'concurrentLimit', fn: _concurrentLimit,
+  schema: schemas.concurrentLimit
+});
+// add built-in method that allows bursts but limits the average rate
+registerMethod({
+  method: 'tokenBucket', fn: _tokenBucket,
+  schema: schemas.tokenBucket
+});
+// add built-in method that checks limits over calendar-aligned periods
+registerMethod({
+  method: 'limitOverCalendarPeriod', fn: _limitOverCalendarPeriod,
+  schema: schemas.limitOverCalendarPeriod
+});
+// add built-in method that checks weighted limits over a pool of resources
+registerMethod({
+  method: 'limitPoolOverDuration', fn: _limitPoolOverDuration,
+  schema: schemas.limitPoolOverDuration, resourceSet: true
+});
+// add built-in method that limits how many resources of a set are held
+registerMethod({
+  method: 'maxDistinct', fn: _maxDistinct,
+  schema: schemas.maxDistinct, resourceSet: true
+});
+// add built-in method that requires a minimum interval between acquisitions
+registerMethod({
+  method: 'cooldown', fn: _cooldown,
+  schema: schemas.cooldown
+});
+// add built-in method that only allows acquisitions during scheduled times
+registerMethod({
+  method: 'schedule', fn: _schedule,
+  schema: schemas.schedule
+});
+// add built-in methods that combine child restrictions
+registerMethod({method: 'allOf', fn: _allOf, schema: schemas.composite});
+registerMethod({method: 'anyOf', fn: _anyOf, schema: schemas.composite});
+
+function _validateRestriction({restriction}) {
+  // validate common restriction fields
+  const result = validateRestrictionSchema(restriction);
+  if(!result.valid) {
+    throw result.error;
+  }
+
+  // a restriction must be effective for some period of time
+  const {notBefore, notAfter} = restriction;
+  if(notBefore !== undefined && notAfter !== undefined &&
+    Date.parse(notBefore) >= Date.parse(notAfter)) {
+    throw new BedrockError(
+      '"notAfter" must be after "notBefore".',
+      'ValidationError', {
+        public: true,
+        httpStatusCode: 400,
+        path: '.notAfter'
+      });
+  }
+
+  // restriction method must be registered
+  const {method} = restriction;
+  if(!RESTRICTION_METHODS.has(method)) {
+    throw new BedrockError(
+      `Restriction method "${method}" not registered.`,
+      'ValidationError', {
+        public: true,
+        httpStatusCode: 400,
+        path: '.method'
+      });
+  }
+
+  // methods that apply to a set of resources require an array of resource
+  // IDs, all others a single resource ID (or pattern); composite methods
+  // leave this to their children
+  if(!COMPOSITE_METHODS.has(method)) {
+    const resourceSet = RESOURCE_SET_METHODS.has(method);
+    // a set of resources must be given as a list of exact resource IDs: the
+    // resources an acquirer holds are only stored as tokenized IDs, so the
+    // held resources that match a pattern cannot be found to count them
+    if(resourceSet && restriction.resourceMatch !== undefined) {
+      throw new BedrockError(
+        `Restriction method "${method}" does not support "resourceMatch"; ` +
+        'the set of resources must be given as a list of resource IDs.',
+        'ValidationError', {
+          public: true,
+          httpStatusCode: 400,
+          path: '.resourceMatch'
+        });
+    }
+    if(Array.isArray(restriction.resource) !== resourceSet) {
+      throw new BedrockError(
+        resourceSet ?
+          `Restriction method "${method}" requires an array of resources.` :
+          `Restriction method "${method}" requires a single resource.`,
+        'ValidationError', {
+          public: true,
+          httpStatusCode: 400,
+          path: '.resource'
+        });
+    }
+  }
+
+  // validate method options if the method registered a schema for them
+  const validateMethodOptions = METHOD_OPTIONS_VALIDATORS.get(method);
+  if(validateMethodOptions) {
+    const result = validateMethodOptions(restriction);
+    if(!result.valid) {
+      throw result.error;
+    }
+  }
+
+  // only known timezones may be used by built-in methods; unknown ones would
+  // otherwise silently be treated as UTC
+  const timezone = restriction.methodOptions?.timezone;
+  if(TIMEZONE_METHODS.has(method) && timezone !== undefined &&
+    moment.tz.zone(timezone) === null) {
+    throw new BedrockError(
+      `Unknown timezone "${timezone}".`,
+      'ValidationError', {
+        public: true,
+        httpStatusCode: 400,
+        path: '.methodOptions.timezone'
+      });
+  }
+
+  // validate the children of composite restrictions as restrictions of their
+  // own
+  if(COMPOSITE_METHODS.has(method)) {
+    for(const child of restriction.methodOptions.restrictions) {
+      _validateRestriction({restriction: _createChild({restriction, child})});
+    }
+  }
+}
+
+async function _applyComposite({options, every}) {
+  const {restriction} = options;
+  const {methodOptions: {restrictions: children}} = restriction;
+
+  // apply every child through its registered method function, even once the
+  // outcome is known, so that all of their acquisitions are tracked
+  const results = [];
+  for(const child of children) {
+    const fn = getMethodFunction({method: child.method});
+    results.push(await fn.call(this, {
+      ...options, restriction: _createChild({restriction, child})
+    }));
+  }
+
+  // the deciding child is the one at which evaluation could have stopped:
+  // for `allOf`, the denying child with the greatest excess or the last child
+  // if all authorize; for `anyOf`, the first authorizing child or the child
+  // with the least excess if all deny
+  let index;
+  if(every) {
+    index = -1;
+    for(const [i, result] of results.entries()) {
+      if(!result.authorized &&
+        (index === -1 || result.excess > results[index].excess)) {
+        index = i;
+      }
+    }
+    if(index === -1) {
+      index = results.length - 1;
+    }
+  } else {
+    index = 0;
+    for(const [i, result] of results.entries()) {
+      if(results[index].authorized) {
+        break;
+      }
+      if(result.authorized || result.excess < results[index].excess) {
+        index = i;
+      }
+    }
+  }
+  const decision = results[index];
+
+  // merge tracking across all children, defaulting to the restriction's own
+  // resource like any other restriction
+  let ttl = 0;
+  let insufficientAcquirerMeta;
+  const trackedResources = new Set();
+  for(const result of results) {
+    ttl = Math.max(ttl, result.ttl ?? 0);
+    (result.trackedResources || [restriction.resource]).forEach(
+      trackedResources.add, trackedResources);
+    if(result.insufficientAcquirerMeta !== undefined) {
+      insufficientAcquirerMeta = insufficientAcquirerMeta ||
+        result.insufficientAcquirerMeta;
+    }
+  }
+
+  const result = {
+    authorized: decision.authorized,
+    excess: decision.authorized ? 0 : decision.excess,
+    ttl,
+    trackedResources: [...trackedResources],
+    decidedBy: {index, method: children[index].method}
+  };
+  if(!decision.authorized && decision.excessResources) {
+    result.excessResources = decision.excessResources;
+  }
+  if(!decision.authorized) {
+    const retryAfter = _getCompositeRetryAfter({results, every});
+    if(retryAfter !== undefined) {
+      result.retryAfter = retryAfter;
+    }
+  }
+  if(insufficientAcquirerMeta !== undefined) {
+    result.insufficientAcquirerMeta = insufficientAcquirerMeta;
+  }
+  return result;
+}
+
+function _getLazyMethodFunction({method}) {
+  // if the method is not registered, report it when the restriction is
+  // applied so that it can be handled according to the `onError` policy
+  return RESTRICTION_METHODS.get(method) ?? async function(...args) {
+    return getMethodFunction({method}).call(this, ...args);
+  };
+}
+
+function _getCompositeRetryAfter({results, every}) {
+  const times = results
+    .filter(({authorized}) => !authorized)
+    .map(({retryAfter}) => retryAfter);
+  if(every) {
+    // every denying child must authorize, which is unknown if any of them
+    // does not report when
+    return times.includes(undefined) ? undefined : Math.max(...times);
+  }
+  // any one child authorizing is sufficient
+  const known = times.filter(t => t !== undefined);
+  return known.length === 0 ? undefined : Math.min(...known);
+}
+
+function _createChild({restriction, child}) {
+  // a child is applied as a restriction on the same resource as its parent
+  const {method, methodOptions = {}} = child;
+  return {...restriction, method, methodOptions};
+}
+
+function _createMeta({restriction, now}) {
+  // effective dates are stored as numbers so they can be compared in queries
+  // regardless of the timezone offsets used in the restriction
+  const meta = {created: now, updated: now};
+  for(const field of ['notBefore', 'notAfter']) {
+    if(restriction[field] !== undefined) {
+      meta[field] = Date.parse(restriction[field]);
+    }
+  }
+  const globPrefix = _getGlobPrefix({restriction});
+  if(globPrefix !== undefined) {
+    meta.globPrefix = globPrefix;
+  }
+  return meta;
+}
+
+function _getGlobPrefix({restriction}) {
+  // the literal characters before the first `*` in a `glob` pattern must be
+  // a prefix of every resource ID the pattern matches, so they are stored to
+  // query only the `glob` restrictions that could match a request
+  const {resource, resourceMatch} = restriction;
+  if(resourceMatch !== 'glob') {
+    return;
+  }
+  const index = resource.indexOf('*');
+  return index === -1 ? resource : resource.slice(0, index);
+}
+
+function _getResourceQueries({resourceIds}) {
+  // match restrictions on any requested resource ID exactly, restrictions on
+  // any prefix of a requested resource ID, and `glob` restrictions with a
+  // literal prefix that is a prefix of a requested resource ID; a `glob`
+  // pattern can only be fully matched against resource IDs once fetched
+  const prefixes = new Set();
+  for(const resourceId of resourceIds) {
+    for(let i = 0; i <= resourceId.length; ++i) {
+      prefixes.add(resourceId.slice(0, i));
+    }
+  }
+  return [{
+    'restriction.resource': {$in: resourceIds},
+    'restriction.resourceMatch': {$exists: false}
+  }, {
+    'restriction.resource': {$in: [...prefixes]},
+    'restriction.resourceMatch': 'prefix'
+  }, {
+    'meta.globPrefix': {$in: [...prefixes]},
+    'restriction.resourceMatch': 'glob'
+  }];
+}
+
+function _getEffectiveQuery({now}) {
+  return {
+    $and: [
+      {$or: [
+        {'meta.notBefore': {$exists: false}},
+        {'meta.notBefore': {$lte: now}}
+      ]},
+      {$or: [
+        {'meta.notAfter': {$exists: false}},
+        {'meta.notAfter': {$gt: now}}
+      ]}
+    ]
+  };
+}
+
+function _applyLimitOverDuration({
+  limit, duration, acquirerMeta, acquired, request, restriction, now
+}) {
+  // resolve any limit that depends on `acquirerMeta`
+  let insufficientAcquirerMeta;
+  ({limit, insufficientAcquirerMeta} = _resolveLimit({limit, acquirerMeta}));
 
   // determine the earliest starting time for the duration; rounded down to
   // second-level precision
@@ -380,9 +1407,11 @@ async function _limitOverDuration({
   // any acquisitions before the period started, totaling the rest
   const acquisitions = acquired.get(restriction.resource) || [];
   let total = 0;
+  let oldest;
   for(const {count, requested} of acquisitions) {
     if(requested >= startTime) {
       total += count;
+      oldest = Math.min(oldest ?? requested, requested);
     }
   }
 
@@ -393,20 +1422,185 @@ async function _limitOverDuration({
       continue;
     }
     total += count;
+    if(count > 0) {
+      oldest = Math.min(oldest ?? requested, requested);
+    }
   }
 
+  // usage is reset once the oldest acquisition in the duration leaves it
+  const resetAt = oldest === undefined ? undefined :
+    _getLeaveTime({requested: oldest, parsedDuration});
+
   // excess is if the total of acquisitions in the duration plus new
   // durations is over the limit
   const excess = Math.max(0, total - limit);
 
+  // if there is excess, walk previous acquisitions from oldest to newest to
+  // find when enough units will have left the duration to cover it; an
+  // acquisition leaves once the (rounded down) start time passes it; if
+  // there are not enough previous units, the request can never be authorized
+  let retryAfter;
+  if(excess > 0) {
+    const sorted = acquisitions
+      .filter(({requested}) => requested >= startTime)
+      .sort((a, b) => a.requested - b.requested);
+    let released = 0;
+    for(const {count, requested} of sorted) {
+      released += count;
+      if(released >= excess) {
+        retryAfter = _getLeaveTime({requested, parsedDuration});
+        break;
+      }
+    }
+  }
+
   return {
-    authorized: excess === 0,
-    excess,
-    // how long this restriction applies to acquired resources; i.e., how
-    // long acquisitions must be tracked
-    ttl: parsedDuration.asMilliseconds()
+    excess, ttl: parsedDuration.asMilliseconds(), limit, used: total,
+    remaining: Math.max(0, limit - total), resetAt, retryAfter,
+    insufficientAcquirerMeta
   };
 }
 
-// add built-in method that checks limits over a period
-registerMethod({method: 'limitOverDuration', fn: _limitOverDuration});
+function _getLeaveTime({requested, parsedDuration}) {
+  // an acquisition leaves a duration once its (rounded down) start time
+  // passes it
+  return moment(Math.floor(requested / 1000) * 1000 + 1000)
+    .add(parsedDuration).valueOf();
+}
+
+function _resolveLimit({limit, acquirerMeta}) {
+  if(typeof limit !== 'object') {
+    // static limit
+    return {limit};
+  }
+
+  // dynamic limit: use the value of a field in `acquirerMeta` times a
+  // multiplier; if the field is missing, the acquirer may be able to take
+  // some action to get it set, so report it as insufficient and use the
+  // fallback limit until then
+  const {acquirerMetaField, multiplier = 1, fallback = 0} = limit;
+  const value = acquirerMeta?.[acquirerMetaField];
+  if(typeof value !== 'number') {
+    return {limit: fallback, insufficientAcquirerMeta: true};
+  }
+  return {limit: value * multiplier, insufficientAcquirerMeta: false};
+}
+
+function _applyZoneInheritance({records, chains}) {
+  // a restriction applies if it is reachable via any of the zone chains
+  // without being overridden or suppressed by a restriction for the same
+  // resource in a zone that is closer to the start of that chain
+  const applicable = new Set();
+  for(const chain of chains) {
+    const replaced = new Set();
+    for(const zone of chain) {
+      const inZone = records.filter(
+        ({restriction}) => restriction.zone === zone);
+      for(const record of inZone) {
+        const {restriction} = record;
+        const key = JSON.stringify(restriction.resource);
+        if(replaced.has(key)) {
+          continue;
+        }
+        if(!restriction.suppress) {
+          applicable.add(record);
+        }
+      }
+      // restrictions in this zone replace those for the same resource in
+      // all subsequent (ancestor) zones
+      for(const {restriction} of inZone) {
+        if(restriction.override || restriction.suppress) {
+          replaced.add(JSON.stringify(restriction.resource));
+        }
+      }
+    }
+  }
+  // preserve the original order of the records
+  return records.filter(record => applicable.has(record));
+}
+
+function _selectsAcquirer({acquirerSelector, acquirerId, acquirerMeta}) {
+  if(!acquirerSelector) {
+    // restriction applies to every acquirer
+    return true;
+  }
+  const {acquirerIds, acquirerMeta: metaSelector} = acquirerSelector;
+  if(acquirerIds && !acquirerIds.includes(acquirerId)) {
+    return false;
+  }
+  if(metaSelector) {
+    for(const [field, value] of Object.entries(metaSelector)) {
+      const actual = acquirerMeta?.[field];
+      if(Array.isArray(value) ? !value.includes(actual) : actual !== value) {
+        return false;
+      }
+    }
+  }
+  return true;
+}
+
+function _isPattern({resourceMatch}) {
+  return resourceMatch === 'prefix' || resourceMatch === 'glob';
+}
+
+function _matchesPattern({restriction, resourceId}) {
+  const {resource, resourceMatch} = restriction;
+  if(resourceMatch === 'prefix') {
+    return resourceId.startsWith(resource);
+  }
+  // `glob`: `*` matches any sequence of characters, all other characters
+  // match literally
+  const regex = new RegExp('^' + resource.split('*').map(
+    s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$');
+  return regex.test(resourceId);
+}
+
+function _getCalendarPeriod({now, period, timezone, anchor}) {
+  // weeks start on Monday regardless of locale
+  const unit = period === 'week' ? 'isoWeek' : period;
+  const current = moment.tz(now, timezone);
+  if(anchor === undefined) {
+    // align period to calendar boundaries in the given timezone
+    const start = current.clone().startOf(unit);
+    const end = start.clone().add(1, period);
+    return {startTime: start.valueOf(), endTime: end.valueOf()};
+  }
+
+  // align period to the anchor; always compute boundaries by adding whole
+  // periods to the anchor to prevent drift at month ends (e.g., an anchor
+  // on January 31st yields periods starting February 28th, March 31st, ...)
+  let elapsed = current.diff(anchor, period);
+  if(anchor.clone().add(elapsed, period).valueOf() > now) {
+    // `now` precedes the anchor
+    elapsed--;
+  }
+  return {
+    startTime: anchor.clone().add(elapsed, period).valueOf(),
+    endTime: anchor.clone().add(elapsed + 1, period).valueOf()
+  };
+}
+
+function _parseTime({time, timezone}) {
+  // accept millisecond timestamps and strict ISO 8601 date-times only
+  let parsed;
+  if(typeof time === 'number' && Number.isFinite(time)) {
+    parsed = moment.tz(time, timezone);
+  } else if(typeof time === 'string') {
+    parsed = moment.tz(time, moment.ISO_8601, true, timezone);
+  }
+  return parsed?.isValid() ? parsed : undefined;
+}
+
+function _inWindow({window: {days, start, end}, timezone, requested}) {
+  // compare the local day and time of day to the window's; a window that
+  // ends before it starts continues past midnight into the next day
+  const local = moment.tz(requested, timezone);
+  const day = WEEKDAYS[local.isoWeekday() - 1];
+  const time = local.format('HH:mm');
+  if(start < end) {
+    return days.includes(day) && time >= start && time < end;
+  }
+  const previousDay = WEEKDAYS[(local.isoWeekday() + 5) % 7];
+  return (days.includes(day) && time >= start) ||
+    (days.includes(previousDay) && time < end);
+}
@@ -0,0 +1,285 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+const duration = {
+  title: 'ISO 8601 Duration',
+  type: 'string',
+  pattern: '^P(?!$)(\\d+Y)?(\\d+M)?(\\d+W)?(\\d+D)?' +
+    '(T(?=\\d)(\\d+H)?(\\d+M)?(\\d+(\\.\\d+)?S)?)?$'
+};
+
+const count = {
+  type: 'integer',
+  minimum: 0
+};
+
+const resourceIds = {
+  type: 'array',
+  minItems: 1,
+  items: {type: 'string'}
+};
+
+// a `limit` may be a number or computed from a field in `acquirerMeta`
+const dynamicLimit = {
+  anyOf: [count, {
+    type: 'object',
+    additionalProperties: false,
+    required: ['acquirerMetaField'],
+    properties: {
+      acquirerMetaField: {type: 'string'},
+      multiplier: {type: 'number', minimum: 0},
+      fallback: count
+    }
+  }]
+};
+
+export const restriction = {
+  title: 'Restriction',
+  type: 'object',
+  required: ['id', 'zone', 'resource', 'method'],
+  properties: {
+    id: {type: 'string'},
+    zone: {type: 'string'},
+    resource: {
+      anyOf: [{type: 'string'}, resourceIds]
+    },
+    resourceMatch: {
+      type: 'string',
+      enum: ['prefix', 'glob']
+    },
+    method: {type: 'string'},
+    methodOptions: {type: 'object'},
+    notBefore: {type: 'string', format: 'date-time'},
+    notAfter: {type: 'string', format: 'date-time'},
+    mode: {
+      type: 'string',
+      enum: ['enforce', 'shadow']
+    },
+    onError: {
+      type: 'string',
+      enum: ['throw', 'deny', 'allow']
+    },
+    override: {type: 'boolean'},
+    suppress: {type: 'boolean'},
+    acquirerSelector: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        acquirerIds: {
+          type: 'array',
+          items: {type: 'string'}
+        },
+        acquirerMeta: {type: 'object'}
+      }
+    }
+  }
+};
+
+export const limitOverDuration = {
+  title: 'limitOverDuration Method Options',
+  type: 'object',
+  additionalProperties: false,
+  // either a single `limit` over a `duration` or `tiers`, but not both
+  oneOf: [{
+    required: ['limit', 'duration'],
+    not: {required: ['tiers']}
+  }, {
+    required: ['tiers'],
+    not: {anyOf: [{required: ['limit']}, {required: ['duration']}]}
+  }],
+  properties: {
+    limit: dynamicLimit,
+    duration,
+    tiers: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['limit', 'duration'],
+        properties: {
+          limit: dynamicLimit,
+          duration
+        }
+      }
+    }
+  }
+};
+
+export const concurrentLimit = {
+  title: 'concurrentLimit Method Options',
+  type: 'object',
+  additionalProperties: false,
+  required: ['limit'],
+  properties: {
+    limit: count,
+    holdDuration: duration
+  }
+};
+
+export const tokenBucket = {
+  title: 'tokenBucket Method Options',
+  type: 'object',
+  additionalProperties: false,
+  required: ['capacity', 'refillAmount', 'refillInterval'],
+  properties: {
+    capacity: {type: 'integer', minimum: 1},
+    refillAmount: {type: 'number', exclusiveMinimum: 0},
+    refillInterval: duration
+  }
+};
+
+export const limitOverCalendarPeriod = {
+  title: 'limitOverCalendarPeriod Method Options',
+  type: 'object',
+  additionalProperties: false,
+  required: ['limit', 'period'],
+  properties: {
+    limit: count,
+    period: {
+      type: 'string',
+      enum: ['day', 'week', 'month', 'year']
+    },
+    timezone: {type: 'string'},
+    periodStartField: {type: 'string'}
+  }
+};
+
+export const limitPoolOverDuration = {
+  title: 'limitPoolOverDuration Method Options',
+  type: 'object',
+  additionalProperties: false,
+  required: ['limit', 'duration'],
+  properties: {
+    limit: count,
+    duration,
+    weights: {
+      type: 'object',
+      additionalProperties: {type: 'number', minimum: 0}
+    }
+  }
+};
+
+export const maxDistinct = {
+  title: 'maxDistinct Method Options',
+  type: 'object',
+  additionalProperties: false,
+  required: ['limit'],
+  properties: {
+    limit: count,
+    holdDuration: duration
+  }
+};
+
+export const cooldown = {
+  title: 'cooldown Method Options',
+  type: 'object',
+  additionalProperties: false,
+  required: ['interval'],
+  properties: {
+    interval: duration
+  }
+};
+
+const timeOfDay = {
+  type: 'string',
+  pattern: '^([01]\\d|2[0-3]):[0-5]\\d$'
+};
+
+export const schedule = {
+  title: 'schedule Method Options',
+  type: 'object',
+  additionalProperties: false,
+  anyOf: [{required: ['windows']}, {required: ['blackouts']}],
+  properties: {
+    timezone: {type: 'string'},
+    windows: {
+      type: 'array',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['days', 'start', 'end'],
+        properties: {
+          days: {
+            type: 'array',
+            minItems: 1,
+            items: {
+              type: 'string',
+              enum: ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun']
+            }
+          },
+          start: timeOfDay,
+          end: timeOfDay
+        }
+      }
+    },
+    blackouts: {
+      type: 'array',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['start', 'end'],
+        properties: {
+          start: {type: 'string', format: 'date-time'},
+          end: {type: 'string', format: 'date-time'}
+        }
+      }
+    }
+  }
+};
+
+export const composite = {
+  title: 'Composite Method Options',
+  type: 'object',
+  additionalProperties: false,
+  required: ['restrictions'],
+  properties: {
+    restrictions: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['method'],
+        properties: {
+          method: {type: 'string'},
+          methodOptions: {type: 'object'}
+        }
+      }
+    }
+  }
+};
+
+// query parameters are strings
+const pageLimit = {
+  type: 'string',
+  pattern: '^[1-9]\\d*$'
+};
+
+const pageOffset = {
+  type: 'string',
+  pattern: '^\\d+$'
+};
+
+export const getRestrictionsQuery = {
+  title: 'Get Restrictions Query',
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    zone: {type: 'string'},
+    resource: {type: 'string'},
+    limit: pageLimit,
+    offset: pageOffset
+  }
+};
+
+export const removeRestrictionsQuery = {
+  title: 'Remove Restrictions Query',
+  type: 'object',
+  additionalProperties: false,
+  required: ['zone', 'resource'],
+  properties: {
+    zone: {type: 'string'},
+    resource: {type: 'string'}
+  }
+};
@@ -0,0 +1,248 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as database from '@bedrock/mongodb';
+import assert from 'assert-plus';
+
+// load config defaults
+import './config.js';
+
+const {config, util: {BedrockError}} = bedrock;
+// maximum number of ancestors to follow for any zone; guards against
+// accidental cycles and unreasonably deep hierarchies
+const MAX_ZONE_DEPTH = 16;
+// time until which no zones are known to have been inserted, if any
+let NO_ZONES_UNTIL;
+
+bedrock.events.on('bedrock-mongodb.ready', async () => {
+  await database.openCollections(['resource-restriction-zone']);
+
+  await database.createIndexes([{
+    // for getting a zone by its ID
+    collection: 'resource-restriction-zone',
+    fields: {'zone.id': 1},
+    options: {unique: true}
+  }]);
+});
+
+/**
+ * @typedef {object} Zone
+ * @property {string} id - The ID of the zone.
+ * @property {string} [parent] - The ID of the parent zone; restrictions in
+ *   the parent zone (and its ancestors) are inherited by this zone.
+ */
+
+/**
+ * Inserts a zone.
+ *
+ * @param {object} options - The options to use.
+ * @param {Zone} options.zone - The zone to insert.
+ *
+ * @returns {Promise<object>} An object with the inserted record.
+ */
+export async function insert({zone} = {}) {
+  assert.object(zone, 'zone');
+  assert.string(zone.id, 'zone.id');
+  assert.optionalString(zone.parent, 'zone.parent');
+
+  const collection = database.collections['resource-restriction-zone'];
+  const now = Date.now();
+  const meta = {created: now, updated: now};
+  const record = {
+    meta,
+    zone
+  };
+  // zones are now in use by this process
+  NO_ZONES_UNTIL = undefined;
+  try {
+    await collection.insertOne(record);
+  } catch(e) {
+    if(!database.isDuplicateError(e)) {
+      throw e;
+    }
+    throw new BedrockError(
+      'Duplicate zone.',
+      'DuplicateError', {
+        public: true,
+        httpStatusCode: 409
+      }, e);
+  }
+  return record;
+}
+
+/**
+ * Updates an existing zone, replacing it entirely.
+ *
+ * @param {object} options - The options to use.
+ * @param {Zone} options.zone - The zone to update.
+ *
+ * @returns {Promise} Settles once the operation completes.
+ */
+export async function update({zone} = {}) {
+  assert.object(zone, 'zone');
+  assert.string(zone.id, 'zone.id');
+  assert.optionalString(zone.parent, 'zone.parent');
+
+  const query = {
+    'zone.id': zone.id
+  };
+  const collection = database.collections['resource-restriction-zone'];
+  const $set = {
+    'meta.updated': Date.now(),
+    zone
+  };
+  const result = await collection.updateOne(query, {$set});
+  if(result.matchedCount === 0) {
+    const details = {
+      httpStatusCode: 404,
+      public: true
+    };
+    throw new BedrockError(
+      'Zone not found.',
+      'NotFoundError', details);
+  }
+}
+
+/**
+ * Gets a zone given a zone ID.
+ *
+ * @param {object} options - Options to use.
+ * @param {string} options.id - The ID of the zone.
+ * @param {boolean} [options.explain=false] - An optional explain boolean.
+ *
+ * @returns {Promise<object>} Resolves with an object with the
+ *   record or an ExplainObject if `explain=true`.
+ */
+export async function get({id, explain = false} = {}) {
+  const query = {
+    'zone.id': id
+  };
+  const projection = {_id: 0};
+  const collection = database.collections['resource-restriction-zone'];
+
+  if(explain) {
+    // 'find().limit(1)' is used here because 'findOne()' doesn't return a
+    // cursor which allows the use of the explain function.
+    const cursor = await collection.find(query, {projection}).limit(1);
+    return cursor.explain('executionStats');
+  }
+
+  const record = await collection.findOne(query, {projection});
+  if(!record) {
+    const details = {
+      httpStatusCode: 404,
+      public: true
+    };
+    throw new BedrockError(
+      'Zone not found.',
+      'NotFoundError', details);
+  }
+  return record;
+}
+
+/**
+ * Deletes a zone from the database by ID. Any zones that declare it as their
+ * parent will no longer inherit any restrictions through it.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.id - The ID of zone.
+ * @param {boolean} [options.explain=false] - An optional explain boolean.
+ *
+ * @returns {Promise<object>} Resolves with an ExplainObject if
+ *   `explain=true`.
+ */
+export async function remove({id, explain = false} = {}) {
+  const query = {
+    'zone.id': id
+  };
+  const collection = database.collections['resource-restriction-zone'];
+
+  if(explain) {
+    // 'find().limit(1)' is used here because 'deleteOne()' doesn't return a
+    // cursor which allows the use of the explain function.
+    const cursor = await collection.find(query).limit(1);
+    return cursor.explain('executionStats');
+  }
+
+  await collection.deleteOne(query);
+}
+
+/**
+ * Gets the inheritance chain for each of the given zones. Each chain starts
+ * with the given zone followed by its parent, its parent's parent, and so on.
+ * Zones that have not been inserted have no parent and therefore a chain
+ * that includes only themselves. If `zones.noZonesCacheTtl` is set in the
+ * config, zones are not queried at all while none are known to have been
+ * inserted.
+ *
+ * @param {object} options - Options to use.
+ * @param {Array} options.zones - A list of zone IDs.
+ *
+ * @returns {Promise<object>} Resolves with an object with `chains`, an array
+ *   with an inheritance chain (an array of zone IDs) for each given zone.
+ */
+export async function getChains({zones} = {}) {
+  assert.array(zones, 'zones');
+
+  // no zone can have a parent if no zones have been inserted
+  if(zones.length === 0 || !await _hasZones()) {
+    return {chains: zones.map(zone => [zone])};
+  }
+
+  // get the parent of every zone, one hierarchy level at a time
+  const parents = new Map();
+  const collection = database.collections['resource-restriction-zone'];
+  const projection = {_id: 0, zone: 1};
+  let pending = [...new Set(zones)];
+  for(let depth = 0; pending.length > 0 && depth < MAX_ZONE_DEPTH; ++depth) {
+    const records = await collection.find(
+      {'zone.id': {$in: pending}}, {projection}).toArray();
+    for(const id of pending) {
+      parents.set(id, undefined);
+    }
+    const next = new Set();
+    for(const {zone: {id, parent}} of records) {
+      parents.set(id, parent);
+      if(parent !== undefined && !parents.has(parent)) {
+        next.add(parent);
+      }
+    }
+    pending = [...next];
+  }
+
+  // build chains from the parent map, stopping at any cycle
+  const chains = zones.map(zone => {
+    const chain = [zone];
+    let parent = parents.get(zone);
+    while(parent !== undefined && !chain.includes(parent) &&
+      chain.length <= MAX_ZONE_DEPTH) {
+      chain.push(parent);
+      parent = parents.get(parent);
+    }
+    return chain;
+  });
+
+  return {chains};
+}
+
+async function _hasZones() {
+  // without a cache, zones are always queried for their parents directly
+  const {noZonesCacheTtl} = config['resource-restriction'].zones;
+  if(!(noZonesCacheTtl > 0)) {
+    return true;
+  }
+  const now = Date.now();
+  if(NO_ZONES_UNTIL !== undefined && now < NO_ZONES_UNTIL) {
+    return false;
+  }
+  const collection = database.collections['resource-restriction-zone'];
+  const record = await collection.findOne({}, {projection: {_id: 1}});
+  if(record) {
+    return true;
+  }
+  // remember that there are no zones for a while; zones inserted by other
+  // processes in the meantime will not be used until this expires
+  NO_ZONES_UNTIL = now + noZonesCacheTtl;
+  return false;
+}
@@ -62,6 +62,62 @@ describe('Restrictions', function() {
     err.message.should.equal('"restriction.id" is required.');
   });
 
+  it('should throw ValidationError with invalid "methodOptions"',
+    async function() {
+      let result;
+      let err;
+      try {
+        result = await restrictions.insert({
+          restriction: {
+            id: await generateId(),
+            zone: ZONES.ONE,
+            resource: RESOURCES.KIWI,
+            method: 'limitOverDuration',
+            methodOptions: {
+              limit: 1,
+              duration: 'P30X'
+            }
+          }
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.not.exist(result);
+      should.exist(err);
+      err.name.should.equal('ValidationError');
+      err.details.public.should.equal(true);
+      err.details.errors.map(e => e.details.path).should.include(
+        '.methodOptions.duration');
+    });
+
+  it('should throw ValidationError with unregistered method',
+    async function() {
+      let result;
+      let err;
+      try {
+        result = await restrictions.bulkInsert({
+          restrictions: [{
+            id: await generateId(),
+            zone: ZONES.ONE,
+            resource: RESOURCES.KIWI,
+            method: 'limitOverDuratoin',
+            methodOptions: {
+              limit: 1,
+              duration: 'P30D'
+            }
+          }]
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.not.exist(result);
+      should.exist(err);
+      err.name.should.equal('ValidationError');
+      err.message.should.equal(
+        'Restriction method "limitOverDuratoin" not registered.');
+      err.details.path.should.equal('.method');
+    });
+
   it('should throw DuplicateError if restriction with same id is inserted',
     async function() {
       const id = await generateId();
@@ -253,6 +309,724 @@ describe('Restrictions', function() {
       result.restrictions[0], {expected: expectedRestriction});
   });
 
+  it('should get the restrictions that match a request w/ a pattern',
+    async function() {
+      const restriction = {
+        id: await generateId(),
+        zone: ZONES.TWO,
+        resource: `${RESOURCES.DATASET_PREFIX}*`,
+        resourceMatch: 'glob',
+        method: 'limitOverDuration',
+        methodOptions: {
+          limit: 1,
+          duration: 'P30D'
+        }
+      };
+      await restrictions.insert({restriction});
+      const now = Date.now();
+      const request = [
+        {resource: `${RESOURCES.DATASET_PREFIX}a`, count: 1, requested: now},
+        {resource: `${RESOURCES.DATASET_PREFIX}b`, count: 1, requested: now},
+        {resource: RESOURCES.APPLE, count: 1, requested: now}
+      ];
+      const result = await restrictions.matchRequest({
+        request, zones: [ZONES.TWO]
+      });
+      should.exist(result);
+      result.should.be.an('object');
+      should.exist(result.restrictions);
+      result.restrictions.should.be.an('array');
+      result.restrictions.length.should.equal(2);
+      // the restriction applies to each matching resource individually
+      assertResourceRestriction(result.restrictions[0], {
+        restriction: {
+          ...restriction, resource: `${RESOURCES.DATASET_PREFIX}a`
+        }
+      });
+      assertResourceRestriction(result.restrictions[1], {
+        restriction: {
+          ...restriction, resource: `${RESOURCES.DATASET_PREFIX}b`
+        }
+      });
+    });
+
+  it('should only get restrictions that select the acquirer',
+    async function() {
+      const resource = await generateId();
+      const acquirerId = await generateId();
+      const restriction = {
+        id: await generateId(),
+        zone: ZONES.ONE,
+        resource,
+        acquirerSelector: {acquirerIds: [acquirerId]},
+        method: 'limitOverDuration',
+        methodOptions: {
+          limit: 1,
+          duration: 'P30D'
+        }
+      };
+      await restrictions.insert({restriction});
+      const request = [{resource, count: 1, requested: Date.now()}];
+      const zones = [ZONES.ONE];
+
+      // restriction selects the acquirer
+      {
+        const result = await restrictions.matchRequest(
+          {request, zones, acquirerId});
+        result.restrictions.length.should.equal(1);
+        assertResourceRestriction(result.restrictions[0], {restriction});
+      }
+
+      // restriction does not select another acquirer
+      {
+        const result = await restrictions.matchRequest(
+          {request, zones, acquirerId: await generateId()});
+        result.restrictions.length.should.equal(0);
+      }
+    });
+
+  it('should apply an "anyOf" restriction', async function() {
+    await restrictions.insert({
+      restriction: {
+        id: await generateId(),
+        zone: ZONES.ONE,
+        resource: RESOURCES.COMMENT,
+        method: 'anyOf',
+        methodOptions: {
+          restrictions: [{
+            method: 'limitByAcquirerMembership',
+            methodOptions: {
+              memberField: 'emailVerified',
+              requiredValue: true
+            }
+          }, {
+            method: 'limitOverDuration',
+            methodOptions: {
+              limit: 2,
+              duration: 'P1D'
+            }
+          }]
+        }
+      }
+    });
+    const now = Date.now();
+    const request = [
+      {resource: RESOURCES.COMMENT, count: 3, requested: now}
+    ];
+    const zones = [ZONES.ONE];
+    const {restrictions: [restriction]} = await restrictions.matchRequest(
+      {request, zones});
+    const acquired = new Map();
+
+    // acquirer without a verified email is over the anonymous cap
+    let result = await restriction.apply({
+      acquirerId: ACQUIRER_ID,
+      acquired,
+      request,
+      zones,
+      now,
+      getAcquisitionMap: () => new Map(acquired)
+    });
+    result.should.deep.equal({
+      authorized: false,
+      excess: 1,
+      ttl: 86400000,
+      trackedResources: [RESOURCES.COMMENT],
+      decidedBy: {index: 1, method: 'limitOverDuration'},
+      insufficientAcquirerMeta: true
+    });
+
+    // acquirer with a verified email is authorized
+    result = await restriction.apply({
+      acquirerId: ACQUIRER_ID,
+      acquirerMeta: {emailVerified: true},
+      acquired,
+      request,
+      zones,
+      now,
+      getAcquisitionMap: () => new Map(acquired)
+    });
+    result.should.deep.equal({
+      authorized: true,
+      excess: 0,
+      ttl: 86400000,
+      trackedResources: [RESOURCES.COMMENT],
+      decidedBy: {index: 0, method: 'limitByAcquirerMembership'},
+      insufficientAcquirerMeta: false
+    });
+  });
+
+  it('should apply an "allOf" restriction', async function() {
+    await restrictions.insert({
+      restriction: {
+        id: await generateId(),
+        zone: ZONES.ONE,
+        resource: RESOURCES.TRANSFER,
+        method: 'allOf',
+        methodOptions: {
+          restrictions: [{
+            method: 'limitOverDuration',
+            methodOptions: {
+              limit: 5,
+              duration: 'P1D'
+            }
+          }, {
+            method: 'limitOverDuration',
+            methodOptions: {
+              limit: 2,
+              duration: 'PT1H'
+            }
+          }]
+        }
+      }
+    });
+    const now = Date.now();
+    const zones = [ZONES.ONE];
+    const acquired = new Map();
+    for(const [count, expectedResult] of [
+      [2, {
+        authorized: true,
+        excess: 0,
+        ttl: 86400000,
+        trackedResources: [RESOURCES.TRANSFER],
+        decidedBy: {index: 1, method: 'limitOverDuration'}
+      }],
+      [3, {
+        authorized: false,
+        excess: 1,
+        ttl: 86400000,
+        trackedResources: [RESOURCES.TRANSFER],
+        decidedBy: {index: 1, method: 'limitOverDuration'}
+      }],
+      [7, {
+        authorized: false,
+        excess: 5,
+        ttl: 86400000,
+        trackedResources: [RESOURCES.TRANSFER],
+        decidedBy: {index: 1, method: 'limitOverDuration'}
+      }]
+    ]) {
+      const request = [
+        {resource: RESOURCES.TRANSFER, count, requested: now}
+      ];
+      const {restrictions: [restriction]} = await restrictions.matchRequest(
+        {request, zones});
+      const result = await restriction.apply({
+        acquirerId: ACQUIRER_ID,
+        acquired,
+        request,
+        zones,
+        now,
+        getAcquisitionMap: () => new Map(acquired)
+      });
+      result.should.deep.equal(expectedResult);
+    }
+  });
+
+  it('should throw ValidationError with invalid composite child',
+    async function() {
+      let result;
+      let err;
+      try {
+        result = await restrictions.insert({
+          restriction: {
+            id: await generateId(),
+            zone: ZONES.ONE,
+            resource: RESOURCES.TRANSFER,
+            method: 'allOf',
+            methodOptions: {
+              restrictions: [{
+                method: 'limitOverDuration',
+                methodOptions: {
+                  limit: 5
+                }
+              }]
+            }
+          }
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.not.exist(result);
+      should.exist(err);
+      err.name.should.equal('ValidationError');
+    });
+
+  it('should apply a "cooldown" restriction', async function() {
+    await restrictions.insert({
+      restriction: {
+        id: await generateId(),
+        zone: ZONES.ONE,
+        resource: RESOURCES.OTP,
+        method: 'cooldown',
+        methodOptions: {
+          interval: 'PT30S'
+        }
+      }
+    });
+    const now = Date.now();
+    const request = [
+      {resource: RESOURCES.OTP, count: 1, requested: now}
+    ];
+    const zones = [ZONES.ONE];
+    const {restrictions: [restriction]} = await restrictions.matchRequest(
+      {request, zones});
+
+    // previous acquisition within the interval
+    let acquired = new Map([
+      [RESOURCES.OTP, [{count: 1, requested: now - 10000}]]
+    ]);
+    let result = await restriction.apply({
+      acquirerId: ACQUIRER_ID,
+      acquired,
+      request,
+      zones,
+      now,
+      getAcquisitionMap: () => new Map(acquired)
+    });
+    result.should.deep.equal({
+      authorized: false,
+      excess: 1,
+      ttl: 30000,
+      retryAfter: now + 20000
+    });
+
+    // previous acquisition before the interval
+    acquired = new Map([
+      [RESOURCES.OTP, [{count: 1, requested: now - 40000}]]
+    ]);
+    result = await restriction.apply({
+      acquirerId: ACQUIRER_ID,
+      acquired,
+      request,
+      zones,
+      now,
+      getAcquisitionMap: () => new Map(acquired)
+    });
+    result.should.deep.equal({
+      authorized: true,
+      excess: 0,
+      ttl: 30000
+    });
+
+    // only one unit may be acquired at once
+    acquired = new Map();
+    result = await restriction.apply({
+      acquirerId: ACQUIRER_ID,
+      acquired,
+      request: [{resource: RESOURCES.OTP, count: 2, requested: now}],
+      zones,
+      now,
+      getAcquisitionMap: () => new Map(acquired)
+    });
+    result.should.deep.equal({
+      authorized: false,
+      excess: 1,
+      ttl: 30000,
+      retryAfter: now + 30000
+    });
+  });
+
+  it('should apply a "schedule" restriction', async function() {
+    await restrictions.insert({
+      restriction: {
+        id: await generateId(),
+        zone: ZONES.ONE,
+        resource: RESOURCES.BUILD,
+        method: 'schedule',
+        methodOptions: {
+          timezone: 'America/New_York',
+          windows: [{
+            days: ['mon', 'tue', 'wed', 'thu', 'fri'],
+            start: '08:00',
+            end: '18:00'
+          }],
+          blackouts: [{
+            start: '2026-10-20T14:00:00Z',
+            end: '2026-10-20T16:00:00Z'
+          }]
+        }
+      }
+    });
+    const now = Date.now();
+    const request = [
+      // Monday noon
+      {resource: RESOURCES.BUILD, count: 1,
+        requested: Date.parse('2026-10-19T12:00:00-04:00')},
+      // Monday evening
+      {resource: RESOURCES.BUILD, count: 2,
+        requested: Date.parse('2026-10-19T19:00:00-04:00')},
+      // Saturday noon
+      {resource: RESOURCES.BUILD, count: 1,
+        requested: Date.parse('2026-10-24T12:00:00-04:00')},
+      // Tuesday during blackout
+      {resource: RESOURCES.BUILD, count: 1,
+        requested: Date.parse('2026-10-20T15:00:00Z')},
+      // Tuesday after blackout
+      {resource: RESOURCES.BUILD, count: 1,
+        requested: Date.parse('2026-10-20T16:00:00Z')}
+    ];
+    const zones = [ZONES.ONE];
+    const {restrictions: [restriction]} = await restrictions.matchRequest(
+      {request, zones});
+    const acquired = new Map();
+    const result = await restriction.apply({
+      acquirerId: ACQUIRER_ID,
+      acquired,
+      request,
+      zones,
+      now,
+      getAcquisitionMap: () => new Map(acquired)
+    });
+    result.should.deep.equal({
+      authorized: false,
+      excess: 4,
+      ttl: 0
+    });
+  });
+
+  it('should apply a "schedule" restriction w/ an overnight window',
+    async function() {
+      await restrictions.insert({
+        restriction: {
+          id: await generateId(),
+          zone: ZONES.ONE,
+          resource: RESOURCES.BATCH_JOB,
+          method: 'schedule',
+          methodOptions: {
+            windows: [{
+              days: ['fri'],
+              start: '22:00',
+              end: '06:00'
+            }]
+          }
+        }
+      });
+      const now = Date.now();
+      const zones = [ZONES.ONE];
+      const acquired = new Map();
+      for(const [requested, authorized] of [
+        ['2026-10-23T23:00:00Z', true],
+        ['2026-10-24T03:00:00Z', true],
+        ['2026-10-24T07:00:00Z', false],
+        ['2026-10-22T23:00:00Z', false],
+        ['2026-10-23T03:00:00Z', false]
+      ]) {
+        const request = [{
+          resource: RESOURCES.BATCH_JOB, count: 1,
+          requested: Date.parse(requested)
+        }];
+        const {restrictions: [restriction]} = await restrictions.matchRequest(
+          {request, zones});
+        const result = await restriction.apply({
+          acquirerId: ACQUIRER_ID,
+          acquired,
+          request,
+          zones,
+          now,
+          getAcquisitionMap: () => new Map(acquired)
+        });
+        result.authorized.should.equal(authorized);
+      }
+    });
+
+  it('should only match restrictions that are effective', async function() {
+    const now = Date.now();
+    const notBefore = new Date(now + 60000).toISOString();
+    const notAfter = new Date(now + 120000).toISOString();
+    const id = await generateId();
+    const record = await restrictions.insert({
+      restriction: {
+        id,
+        zone: ZONES.ONE,
+        resource: RESOURCES.COUPON,
+        method: 'limitOverDuration',
+        methodOptions: {
+          limit: 1,
+          duration: 'P1D'
+        },
+        notBefore,
+        notAfter
+      }
+    });
+    record.meta.notBefore.should.equal(Date.parse(notBefore));
+    record.meta.notAfter.should.equal(Date.parse(notAfter));
+
+    const request = [
+      {resource: RESOURCES.COUPON, count: 1, requested: now}
+    ];
+    const zones = [ZONES.ONE];
+    for(const [time, length] of [
+      [now, 0],
+      [now + 60000, 1],
+      [now + 119999, 1],
+      [now + 120000, 0]
+    ]) {
+      const result = await restrictions.matchRequest(
+        {request, zones, now: time});
+      result.restrictions.length.should.equal(length);
+    }
+
+    // removing `notAfter` removes it from the meta data
+    await restrictions.update({
+      restriction: {
+        id,
+        zone: ZONES.ONE,
+        resource: RESOURCES.COUPON,
+        method: 'limitOverDuration',
+        methodOptions: {
+          limit: 1,
+          duration: 'P1D'
+        },
+        notBefore
+      }
+    });
+    const updated = await restrictions.get({id});
+    should.not.exist(updated.meta.notAfter);
+    updated.meta.notBefore.should.equal(Date.parse(notBefore));
+    let result = await restrictions.matchRequest(
+      {request, zones, now: now + 120000});
+    result.restrictions.length.should.equal(1);
+    result = await restrictions.matchRequest({request, zones, now});
+    result.restrictions.length.should.equal(0);
+  });
+
+  it('should throw ValidationError if "notAfter" precedes "notBefore"',
+    async function() {
+      let result;
+      let err;
+      try {
+        result = await restrictions.insert({
+          restriction: {
+            id: await generateId(),
+            zone: ZONES.ONE,
+            resource: RESOURCES.COUPON,
+            method: 'limitOverDuration',
+            methodOptions: {
+              limit: 1,
+              duration: 'P1D'
+            },
+            notBefore: '2026-02-01T00:00:00Z',
+            notAfter: '2026-01-01T00:00:00Z'
+          }
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.not.exist(result);
+      should.exist(err);
+      err.name.should.equal('ValidationError');
+      err.details.path.should.equal('.notAfter');
+    });
+
+  it('should not insert a restriction with an unknown timezone',
+    async function() {
+      let result;
+      let err;
+      try {
+        result = await restrictions.insert({
+          restriction: {
+            id: await generateId(),
+            zone: ZONES.ONE,
+            resource: RESOURCES.BILLING,
+            method: 'limitOverCalendarPeriod',
+            methodOptions: {
+              limit: 1,
+              period: 'month',
+              timezone: 'Nope/Zone'
+            }
+          }
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.not.exist(result);
+      should.exist(err);
+      err.name.should.equal('ValidationError');
+      err.details.path.should.equal('.methodOptions.timezone');
+    });
+
+  it('should align a calendar period with an invalid period start',
+    async function() {
+      await restrictions.insert({
+        restriction: {
+          id: await generateId(),
+          zone: ZONES.ONE,
+          resource: RESOURCES.BILLING,
+          method: 'limitOverCalendarPeriod',
+          methodOptions: {
+            limit: 200,
+            period: 'day',
+            periodStartField: 'start'
+          }
+        }
+      });
+      const now = Date.now();
+      const request = [
+        {resource: RESOURCES.BILLING, count: 5, requested: now}
+      ];
+      const zones = [ZONES.ONE];
+      const {restrictions: [restriction]} = await restrictions.matchRequest(
+        {request, zones});
+      const acquired = new Map([
+        [RESOURCES.BILLING, [{count: 100, requested: now}]]
+      ]);
+      const result = await restriction.apply({
+        acquirerId: ACQUIRER_ID,
+        acquirerMeta: {start: 'not a date'},
+        acquired,
+        request,
+        zones,
+        now,
+        getAcquisitionMap: () => new Map(acquired)
+      });
+      const day = 86400000;
+      result.should.deep.equal({
+        authorized: true,
+        excess: 0,
+        ttl: day,
+        limit: 200,
+        used: 105,
+        remaining: 95,
+        resetAt: (Math.floor(now / day) + 1) * day,
+        insufficientAcquirerMeta: true
+      });
+    });
+
+  it('should not insert a pool restriction with a single resource',
+    async function() {
+      let result;
+      let err;
+      try {
+        result = await restrictions.insert({
+          restriction: {
+            id: await generateId(),
+            zone: ZONES.ONE,
+            resource: RESOURCES.CREDIT,
+            method: 'limitPoolOverDuration',
+            methodOptions: {
+              limit: 1,
+              duration: 'PT1M'
+            }
+          }
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.not.exist(result);
+      should.exist(err);
+      err.name.should.equal('ValidationError');
+      err.details.path.should.equal('.resource');
+    });
+
+  it('should not insert a glob restriction with an array of resources',
+    async function() {
+      let result;
+      let err;
+      try {
+        result = await restrictions.insert({
+          restriction: {
+            id: await generateId(),
+            zone: ZONES.ONE,
+            resource: [RESOURCES.CREDIT, RESOURCES.GIFT_CARD],
+            resourceMatch: 'glob',
+            method: 'limitOverDuration',
+            methodOptions: {
+              limit: 1,
+              duration: 'PT1M'
+            }
+          }
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.not.exist(result);
+      should.exist(err);
+      err.name.should.equal('ValidationError');
+      err.details.path.should.equal('.resource');
+    });
+
+  it('should not insert a maxDistinct restriction with "resourceMatch"',
+    async function() {
+      // a set of resources can only be given as a list, not as a prefix
+      for(const resource of [
+        RESOURCES.DATASET_PREFIX, [RESOURCES.CREDIT, RESOURCES.GIFT_CARD]
+      ]) {
+        let result;
+        let err;
+        try {
+          result = await restrictions.insert({
+            restriction: {
+              id: await generateId(),
+              zone: ZONES.ONE,
+              resource,
+              resourceMatch: 'prefix',
+              method: 'maxDistinct',
+              methodOptions: {
+                limit: 1
+              }
+            }
+          });
+        } catch(e) {
+          err = e;
+        }
+        should.not.exist(result);
+        should.exist(err);
+        err.name.should.equal('ValidationError');
+        err.details.path.should.equal('.resourceMatch');
+      }
+    });
+
+  it('should replay a token bucket deficit left before its window',
+    async function() {
+      await restrictions.insert({
+        restriction: {
+          id: await generateId(),
+          zone: ZONES.ONE,
+          resource: RESOURCES.SEARCH,
+          method: 'tokenBucket',
+          methodOptions: {
+            capacity: 2,
+            refillAmount: 1,
+            refillInterval: 'PT1M'
+          }
+        }
+      });
+      const start = Date.now();
+      const now = start + 123000;
+      const request = [
+        {resource: RESOURCES.SEARCH, count: 2, requested: now}
+      ];
+      const zones = [ZONES.ONE];
+      const {restrictions: [restriction]} = await restrictions.matchRequest(
+        {request, zones, now});
+
+      // the first acquisition is older than the time needed to refill an
+      // empty bucket, but the bucket was never refilled since then
+      const acquired = new Map([
+        [RESOURCES.SEARCH, [
+          {count: 2, requested: start},
+          {count: 1, requested: start + 60000}
+        ]]
+      ]);
+      const result = await restriction.apply({
+        acquirerId: ACQUIRER_ID,
+        acquired,
+        request,
+        zones,
+        now,
+        getAcquisitionMap: () => new Map(acquired)
+      });
+      result.should.deep.equal({
+        authorized: false,
+        excess: 1,
+        ttl: 180000,
+        limit: 2,
+        used: 2,
+        remaining: 0
+      });
+    });
+
   it('should apply a restriction w/ an authorized result', async function() {
     const now = Date.now();
     const request = [
@@ -271,7 +1045,11 @@ describe('Restrictions', function() {
     const expectedResult = {
       authorized: true,
       excess: 0,
-      ttl: 2592000000
+      ttl: 2592000000,
+      limit: 1,
+      used: 1,
+      remaining: 0,
+      resetAt: Math.floor(now / 1000) * 1000 + 1000 + 2592000000
     };
     should.exist(result);
     result.should.deep.equal(expectedResult);
@@ -322,7 +1100,11 @@ describe('Restrictions', function() {
     const expectedResult = {
       authorized: true,
       excess: 0,
-      ttl: 2592000000
+      ttl: 2592000000,
+      limit: 1,
+      used: 1,
+      remaining: 0,
+      resetAt: Math.floor(now / 1000) * 1000 + 1000 + 2592000000
     };
     should.exist(result);
     result.should.deep.equal(expectedResult);
@@ -344,15 +1126,205 @@ describe('Restrictions', function() {
       zones,
       getAcquisitionMap: () => new Map(acquired)
     });
+    // authorized once the previous acquisition has aged out of the duration
     const expectedResult = {
       authorized: false,
       excess: 1,
-      ttl: 2592000000
+      ttl: 2592000000,
+      limit: 1,
+      used: 2,
+      remaining: 0,
+      resetAt: Math.floor(now / 1000) * 1000 + 1000 + 2592000000,
+      retryAfter: Math.floor(now / 1000) * 1000 + 1000 + 2592000000
+    };
+    should.exist(result);
+    result.should.deep.equal(expectedResult);
+  });
+
+  it('should report when a denied request may be retried', async function() {
+    await restrictions.insert({
+      restriction: {
+        id: await generateId(),
+        zone: ZONES.ONE,
+        resource: RESOURCES.SMS,
+        method: 'limitOverDuration',
+        methodOptions: {
+          limit: 4,
+          duration: 'PT10S'
+        }
+      }
+    });
+    const now = Date.now();
+    const request = [
+      {resource: RESOURCES.SMS, count: 3, requested: now}
+    ];
+    const zones = [ZONES.ONE];
+    const matches = await restrictions.matchRequest({request, zones});
+    const acquired = new Map();
+    acquired.set(RESOURCES.SMS, [
+      {count: 1, requested: now - 1000},
+      {count: 2, requested: now - 3000},
+      {count: 1, requested: now - 2000}
+    ]);
+    const result = await matches.restrictions[0].apply({
+      acquirerId: ACQUIRER_ID,
+      acquired,
+      request,
+      zones,
+      now,
+      getAcquisitionMap: () => new Map(acquired)
+    });
+    // the two oldest acquisitions must leave the duration to make room
+    const expectedResult = {
+      authorized: false,
+      excess: 3,
+      ttl: 10000,
+      limit: 4,
+      used: 7,
+      remaining: 0,
+      // usage is reset once the oldest acquisition leaves the duration
+      resetAt: Math.floor((now - 3000) / 1000) * 1000 + 1000 + 10000,
+      retryAfter: Math.floor((now - 2000) / 1000) * 1000 + 1000 + 10000
     };
     should.exist(result);
     result.should.deep.equal(expectedResult);
   });
 
+  it('should report exceeded tiers when applying a restriction',
+    async function() {
+      await restrictions.insert({
+        restriction: {
+          id: await generateId(),
+          zone: ZONES.ONE,
+          resource: RESOURCES.DOWNLOAD,
+          method: 'limitOverDuration',
+          methodOptions: {
+            tiers: [
+              {limit: 1, duration: 'PT1M'},
+              {limit: 10, duration: 'P1D'}
+            ]
+          }
+        }
+      });
+      const now = Date.now();
+      const request = [
+        {resource: RESOURCES.DOWNLOAD, count: 1, requested: now}
+      ];
+      const zones = [ZONES.ONE];
+      const matches = await restrictions.matchRequest({request, zones});
+      const acquired = new Map();
+      acquired.set(RESOURCES.DOWNLOAD, [{count: 1, requested: now}]);
+      const result = await matches.restrictions[0].apply({
+        acquirerId: ACQUIRER_ID,
+        acquired,
+        request,
+        zones,
+        getAcquisitionMap: () => new Map(acquired)
+      });
+      const expectedResult = {
+        authorized: false,
+        excess: 1,
+        ttl: 86400000,
+        limit: 1,
+        used: 2,
+        remaining: 0,
+        resetAt: Math.floor(now / 1000) * 1000 + 1000 + 60000,
+        exceededTiers: [{
+          index: 0,
+          limit: 1,
+          duration: 'PT1M',
+          excess: 1
+        }],
+        retryAfter: Math.floor(now / 1000) * 1000 + 1000 + 60000
+      };
+      should.exist(result);
+      result.should.deep.equal(expectedResult);
+    });
+
+  it('should throw ValidationError with both a limit and tiers',
+    async function() {
+      let result;
+      let err;
+      try {
+        result = await restrictions.insert({
+          restriction: {
+            id: await generateId(),
+            zone: ZONES.ONE,
+            resource: RESOURCES.UPLOAD,
+            method: 'limitOverDuration',
+            methodOptions: {
+              limit: 1,
+              duration: 'PT1M',
+              tiers: [{limit: 10, duration: 'P1D'}]
+            }
+          }
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.not.exist(result);
+      should.exist(err);
+      err.name.should.equal('ValidationError');
+      err.details.public.should.equal(true);
+    });
+
+  it('should report the exceeded tier when tiers have equal remaining',
+    async function() {
+      await restrictions.insert({
+        restriction: {
+          id: await generateId(),
+          zone: ZONES.ONE,
+          resource: RESOURCES.UPLOAD,
+          method: 'limitOverDuration',
+          methodOptions: {
+            tiers: [
+              {limit: 4, duration: 'P1D'},
+              {limit: 1, duration: 'PT1M'}
+            ]
+          }
+        }
+      });
+      const now = Date.now();
+      const request = [
+        {resource: RESOURCES.UPLOAD, count: 1, requested: now}
+      ];
+      const zones = [ZONES.ONE];
+      const matches = await restrictions.matchRequest({request, zones});
+      const acquired = new Map();
+      acquired.set(RESOURCES.UPLOAD, [
+        {count: 2, requested: now - 3600000},
+        {count: 1, requested: now - 10000}
+      ]);
+      const result = await matches.restrictions[0].apply({
+        acquirerId: ACQUIRER_ID,
+        acquired,
+        request,
+        zones,
+        now,
+        getAcquisitionMap: () => new Map(acquired)
+      });
+      // both tiers have nothing remaining but only the second is exceeded
+      const leaveTime = Math.floor((now - 10000) / 1000) * 1000 + 1000 + 60000;
+      const expectedResult = {
+        authorized: false,
+        excess: 1,
+        ttl: 86400000,
+        limit: 1,
+        used: 2,
+        remaining: 0,
+        resetAt: leaveTime,
+        exceededTiers: [{
+          index: 1,
+          limit: 1,
+          duration: 'PT1M',
+          excess: 1
+        }],
+        retryAfter: leaveTime
+      };
+      should.exist(result);
+      result.should.deep.equal(expectedResult);
+    });
+
   it('should remove a restriction from the database', async function() {
     // create restrictions
     const mockRestriction1 = {
@@ -618,7 +1590,9 @@ describe('Restrictions Database Tests', function() {
     it(`is properly indexed for 'restriction.zone' and 'restriction.resource'` +
       'in matchRequest()', async function() {
       // finds all records that match the 'restriction.zone' and
-      // 'restriction.resource' query since it is not a unique index.
+      // 'restriction.resource' query since it is not a unique index; the
+      // query also matches any prefix or glob restrictions, so every
+      // branch must use an index
       const now = Date.now();
       const request = [
         {resource: RESOURCES.MANGO, count: 1, requested: now}
@@ -630,12 +1604,91 @@ describe('Restrictions Database Tests', function() {
         explain: true
       });
       executionStats.nReturned.should.equal(2);
-      executionStats.totalKeysExamined.should.equal(2);
       executionStats.totalDocsExamined.should.equal(2);
-      executionStats.executionStages.inputStage.inputStage.stage
-        .should.equal('IXSCAN');
-      executionStats.executionStages.inputStage.inputStage.
-        keyPattern.should.eql({'restriction.zone': 1});
+      const stages = _getStages(executionStats.executionStages);
+      stages.should.include('IXSCAN');
+      stages.should.not.include('COLLSCAN');
     });
+    it(`is properly indexed for prefix restrictions in matchRequest()`,
+      async function() {
+        for(const resource of [
+          RESOURCES.DATASET_PREFIX, `${RESOURCES.DATASET_PREFIX}other/`
+        ]) {
+          await restrictions.insert({
+            restriction: {
+              id: await generateId(),
+              zone: ZONES.ONE,
+              resource,
+              resourceMatch: 'prefix',
+              method: 'limitOverDuration',
+              methodOptions: {
+                limit: 1,
+                duration: 'P30D'
+              }
+            }
+          });
+        }
+        // only the prefix restriction that is a prefix of the requested
+        // resource is examined
+        const now = Date.now();
+        const request = [{
+          resource: `${RESOURCES.DATASET_PREFIX}a`, count: 1, requested: now
+        }];
+        const {executionStats} = await restrictions.matchRequest({
+          request,
+          zones: [ZONES.ONE],
+          explain: true
+        });
+        executionStats.nReturned.should.equal(1);
+        executionStats.totalDocsExamined.should.equal(1);
+        const stages = _getStages(executionStats.executionStages);
+        stages.should.include('IXSCAN');
+        stages.should.not.include('COLLSCAN');
+      });
+    it(`is properly indexed for glob restrictions in matchRequest()`,
+      async function() {
+        // use unique base resource so uninfluenced by previous restrictions
+        const base = await generateId();
+        for(const resource of [`${base}/a/*`, `${base}/b/*`, `*/${base}`]) {
+          await restrictions.insert({
+            restriction: {
+              id: await generateId(),
+              zone: ZONES.ONE,
+              resource,
+              resourceMatch: 'glob',
+              method: 'limitOverDuration',
+              methodOptions: {
+                limit: 1,
+                duration: 'P30D'
+              }
+            }
+          });
+        }
+        // only the glob restrictions with a literal prefix that is a prefix
+        // of the requested resource are examined
+        const now = Date.now();
+        const request = [{resource: `${base}/a/x`, count: 1, requested: now}];
+        const {executionStats} = await restrictions.matchRequest({
+          request,
+          zones: [ZONES.ONE],
+          explain: true
+        });
+        executionStats.nReturned.should.equal(2);
+        executionStats.totalDocsExamined.should.equal(2);
+        const stages = _getStages(executionStats.executionStages);
+        stages.should.include('IXSCAN');
+        stages.should.not.include('COLLSCAN');
+      });
   });
 });
+
+function _getStages(stage) {
+  // collect the names of every stage in an execution plan
+  const stages = [stage.stage];
+  for(const input of [stage.inputStage, ...(stage.inputStages ?? [])]) {
+    if(input) {
+      stages.push(..._getStages(input));
+    }
+  }
+  return stages;
+}
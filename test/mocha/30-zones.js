@@ -0,0 +1,221 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import {cleanDB, generateId} from './helpers.js';
+import {restrictions, zones} from '@bedrock/resource-restriction';
+
+describe('Zones', function() {
+  let globalZone;
+  let regionZone;
+  let tenantZone;
+  before(async () => {
+    globalZone = await generateId();
+    regionZone = await generateId();
+    tenantZone = await generateId();
+    await zones.insert({zone: {id: globalZone}});
+    await zones.insert({zone: {id: regionZone, parent: globalZone}});
+    await zones.insert({zone: {id: tenantZone, parent: regionZone}});
+  });
+
+  it('should get a zone by id', async function() {
+    const record = await zones.get({id: tenantZone});
+    should.exist(record);
+    should.exist(record.meta);
+    record.zone.should.eql({id: tenantZone, parent: regionZone});
+  });
+
+  it('should throw DuplicateError if zone with same id is inserted',
+    async function() {
+      let result;
+      let err;
+      try {
+        result = await zones.insert({zone: {id: tenantZone}});
+      } catch(e) {
+        err = e;
+      }
+      should.not.exist(result);
+      should.exist(err);
+      err.name.should.equal('DuplicateError');
+      err.message.should.equal('Duplicate zone.');
+    });
+
+  it('should get the inheritance chain for zones', async function() {
+    const unknownZone = await generateId();
+    const {chains} = await zones.getChains({
+      zones: [tenantZone, unknownZone]
+    });
+    chains.should.eql([
+      [tenantZone, regionZone, globalZone],
+      [unknownZone]
+    ]);
+  });
+
+  it('should match restrictions inherited from ancestor zones',
+    async function() {
+      const resource = await generateId();
+      const globalRestriction = {
+        id: await generateId(),
+        zone: globalZone,
+        resource,
+        method: 'limitOverDuration',
+        methodOptions: {limit: 100, duration: 'P1D'}
+      };
+      const regionRestriction = {
+        id: await generateId(),
+        zone: regionZone,
+        resource,
+        method: 'limitOverDuration',
+        methodOptions: {limit: 10, duration: 'P1D'}
+      };
+      await restrictions.bulkInsert({
+        restrictions: [globalRestriction, regionRestriction]
+      });
+      const request = [{resource, count: 1, requested: Date.now()}];
+      const result = await restrictions.matchRequest(
+        {request, zones: [tenantZone]});
+      result.restrictions.map(r => r.restriction).should.have.deep.members([
+        globalRestriction, regionRestriction
+      ]);
+    });
+
+  it('should override restrictions inherited from ancestor zones',
+    async function() {
+      const resource = await generateId();
+      const globalRestriction = {
+        id: await generateId(),
+        zone: globalZone,
+        resource,
+        method: 'limitOverDuration',
+        methodOptions: {limit: 100, duration: 'P1D'}
+      };
+      const tenantRestriction = {
+        id: await generateId(),
+        zone: tenantZone,
+        resource,
+        override: true,
+        method: 'limitOverDuration',
+        methodOptions: {limit: 1000, duration: 'P1D'}
+      };
+      await restrictions.bulkInsert({
+        restrictions: [globalRestriction, tenantRestriction]
+      });
+      const request = [{resource, count: 1, requested: Date.now()}];
+
+      // tenant restriction replaces global restriction
+      {
+        const result = await restrictions.matchRequest(
+          {request, zones: [tenantZone]});
+        result.restrictions.map(r => r.restriction).should.deep.equal([
+          tenantRestriction
+        ]);
+      }
+
+      // global restriction still applies to the region
+      {
+        const result = await restrictions.matchRequest(
+          {request, zones: [regionZone]});
+        result.restrictions.map(r => r.restriction).should.deep.equal([
+          globalRestriction
+        ]);
+      }
+    });
+
+  it('should override restrictions when ancestor zones are also given',
+    async function() {
+      const resource = await generateId();
+      const globalRestriction = {
+        id: await generateId(),
+        zone: globalZone,
+        resource,
+        method: 'limitOverDuration',
+        methodOptions: {limit: 100, duration: 'P1D'}
+      };
+      const tenantRestriction = {
+        id: await generateId(),
+        zone: tenantZone,
+        resource,
+        override: true,
+        method: 'limitOverDuration',
+        methodOptions: {limit: 1000, duration: 'P1D'}
+      };
+      await restrictions.bulkInsert({
+        restrictions: [globalRestriction, tenantRestriction]
+      });
+      const request = [{resource, count: 1, requested: Date.now()}];
+
+      // global zone is reached via the tenant zone's chain, so its own
+      // chain cannot reintroduce the overridden restriction
+      const result = await restrictions.matchRequest(
+        {request, zones: [tenantZone, globalZone]});
+      result.restrictions.map(r => r.restriction).should.deep.equal([
+        tenantRestriction
+      ]);
+    });
+
+  it('should suppress restrictions inherited from ancestor zones',
+    async function() {
+      const resource = await generateId();
+      await restrictions.bulkInsert({
+        restrictions: [{
+          id: await generateId(),
+          zone: globalZone,
+          resource,
+          method: 'limitOverDuration',
+          methodOptions: {limit: 100, duration: 'P1D'}
+        }, {
+          id: await generateId(),
+          zone: regionZone,
+          resource,
+          suppress: true,
+          method: 'limitOverDuration',
+          methodOptions: {limit: 0, duration: 'P1D'}
+        }]
+      });
+      const request = [{resource, count: 1, requested: Date.now()}];
+      const result = await restrictions.matchRequest(
+        {request, zones: [tenantZone]});
+      result.restrictions.length.should.equal(0);
+    });
+
+  it('should remove a zone', async function() {
+    const id = await generateId();
+    await zones.insert({zone: {id, parent: globalZone}});
+    await zones.remove({id});
+    let record;
+    let err;
+    try {
+      record = await zones.get({id});
+    } catch(e) {
+      err = e;
+    }
+    should.not.exist(record);
+    should.exist(err);
+    err.name.should.equal('NotFoundError');
+    err.message.should.equal('Zone not found.');
+  });
+});
+
+describe('Zones Database Tests', function() {
+  describe('Indexes', function() {
+    let zoneId;
+    beforeEach(async () => {
+      await cleanDB();
+
+      zoneId = await generateId();
+      await zones.insert({zone: {id: zoneId}});
+      // second zone is inserted here in order to do proper assertions
+      // for 'nReturned', 'totalKeysExamined' and 'totalDocsExamined'.
+      await zones.insert({zone: {id: await generateId(), parent: zoneId}});
+    });
+    it(`is properly indexed for 'zone.id' in get()`, async function() {
+      const {executionStats} = await zones.get({id: zoneId, explain: true});
+      executionStats.nReturned.should.equal(1);
+      executionStats.totalKeysExamined.should.equal(1);
+      executionStats.totalDocsExamined.should.equal(1);
+      executionStats.executionStages.inputStage.inputStage.inputStage.stage
+        .should.equal('IXSCAN');
+      executionStats.executionStages.inputStage.inputStage.inputStage.
+        keyPattern.should.eql({'zone.id': 1});
+    });
+  });
+});
@@ -0,0 +1,85 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import {generateId, RESOURCES, ZONES} from './helpers.js';
+import {middleware, restrictions} from '@bedrock/resource-restriction';
+import uuid from 'uuid-random';
+
+describe('Middleware', function() {
+  before(async function() {
+    // use a resource only restricted in this file so other test files'
+    // restrictions and acquisitions do not influence the results
+    await restrictions.insert({
+      restriction: {
+        id: await generateId(),
+        zone: ZONES.ONE,
+        resource: RESOURCES.MIDDLEWARE_CALL,
+        method: 'limitOverDuration',
+        methodOptions: {
+          limit: 2,
+          duration: 'PT1M'
+        }
+      }
+    });
+  });
+
+  it('should acquire resources and deny once exceeded', async function() {
+    // use local `acquirerId` so uninfluenced by previous acquisitions
+    const acquirerId = uuid();
+    const acquire = middleware.createAcquireMiddleware({
+      getAcquirerId: ({req}) => req.acquirerId,
+      getZones: () => [ZONES.ONE],
+      getRequest: () => [{resource: RESOURCES.MIDDLEWARE_CALL, count: 1}],
+      acquisitionTtl: 30000
+    });
+
+    // first two requests are authorized
+    for(const remaining of [1, 0]) {
+      const {req, res, err} = await _run({middleware: acquire, acquirerId});
+      should.not.exist(err);
+      req.resourceRestriction.authorized.should.equal(true);
+      res.headers['RateLimit-Limit'].should.equal(2);
+      res.headers['RateLimit-Remaining'].should.equal(remaining);
+      should.not.exist(res.headers['Retry-After']);
+    }
+
+    // third request is denied
+    const {req, res, err} = await _run({middleware: acquire, acquirerId});
+    should.exist(err);
+    err.name.should.equal('QuotaExceededError');
+    err.details.httpStatusCode.should.equal(429);
+    err.details.public.should.equal(true);
+    err.details.excessResources.should.deep.equal(
+      [{resource: RESOURCES.MIDDLEWARE_CALL, count: 1}]);
+    req.resourceRestriction.authorized.should.equal(false);
+    res.headers['RateLimit-Remaining'].should.equal(0);
+    res.headers['Retry-After'].should.be.within(1, 61);
+    res.headers['RateLimit-Reset'].should.equal(res.headers['Retry-After']);
+  });
+
+  it('should pass extractor errors to "next"', async function() {
+    const acquire = middleware.createAcquireMiddleware({
+      getAcquirerId: () => {
+        throw new Error('No acquirer.');
+      },
+      getZones: () => [ZONES.ONE],
+      getRequest: () => [{resource: RESOURCES.MIDDLEWARE_CALL, count: 1}],
+      acquisitionTtl: 30000
+    });
+    const {err} = await _run({middleware: acquire, acquirerId: uuid()});
+    should.exist(err);
+    err.message.should.equal('No acquirer.');
+  });
+});
+
+async function _run({middleware, acquirerId}) {
+  const req = {acquirerId};
+  const res = {
+    headers: {},
+    setHeader(name, value) {
+      this.headers[name] = value;
+    }
+  };
+  const err = await new Promise(resolve => middleware(req, res, resolve));
+  return {req, res, err};
+}
@@ -0,0 +1,120 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import {generateId, RESOURCES, ZONES} from './helpers.js';
+import {agent} from '@bedrock/https-agent';
+import {config} from '@bedrock/core';
+import {httpClient} from '@digitalbazaar/http-client';
+
+const baseUrl = `${config.server.baseUri}/resource-restriction/restrictions`;
+const headers = {'x-test-admin': 'true'};
+
+describe('HTTP API', function() {
+  it('should insert, get, update, and remove a restriction',
+    async function() {
+      const restriction = {
+        id: await generateId(),
+        zone: ZONES.ONE,
+        resource: RESOURCES.WIDGET,
+        method: 'limitOverDuration',
+        methodOptions: {
+          limit: 1,
+          duration: 'PT1M'
+        }
+      };
+      const url = `${baseUrl}/${restriction.id}`;
+
+      let response = await httpClient.post(baseUrl, {
+        agent, headers, json: restriction
+      });
+      response.status.should.equal(201);
+      response.headers.get('location').should.equal(url);
+      response.data.should.deep.equal(restriction);
+
+      response = await httpClient.get(url, {agent, headers});
+      response.data.should.deep.equal(restriction);
+
+      restriction.methodOptions.limit = 2;
+      response = await httpClient.put(url, {
+        agent, headers, json: restriction
+      });
+      response.data.should.deep.equal(restriction);
+      response = await httpClient.get(url, {agent, headers});
+      response.data.methodOptions.limit.should.equal(2);
+
+      response = await httpClient.delete(url, {agent, headers});
+      response.status.should.equal(204);
+      let err;
+      try {
+        await httpClient.get(url, {agent, headers});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.status.should.equal(404);
+    });
+
+  it('should get a page of restrictions by zone and resource',
+    async function() {
+      // use local zone so no other restrictions match
+      const zone = await generateId();
+      const ids = [];
+      for(let i = 0; i < 3; ++i) {
+        const restriction = {
+          id: await generateId(),
+          zone,
+          resource: RESOURCES.WIDGET,
+          method: 'concurrentLimit',
+          methodOptions: {limit: i + 1}
+        };
+        await httpClient.post(baseUrl, {agent, headers, json: restriction});
+        ids.push(restriction.id);
+      }
+      ids.sort();
+
+      const query = `zone=${zone}&resource=${RESOURCES.WIDGET}`;
+      const response = await httpClient.get(
+        `${baseUrl}?${query}&limit=2&offset=1`, {agent, headers});
+      response.data.limit.should.equal(2);
+      response.data.offset.should.equal(1);
+      response.data.count.should.equal(3);
+      response.data.records.map(({id}) => id).should.deep.equal(
+        ids.slice(1));
+
+      // remove all restrictions for the zone and resource
+      await httpClient.delete(`${baseUrl}?${query}`, {agent, headers});
+      const {data} = await httpClient.get(
+        `${baseUrl}?${query}`, {agent, headers});
+      data.count.should.equal(0);
+    });
+
+  it('should reject an invalid restriction', async function() {
+    let err;
+    try {
+      await httpClient.post(baseUrl, {
+        agent, headers, json: {
+          id: await generateId(),
+          zone: ZONES.ONE,
+          method: 'limitOverDuration'
+        }
+      });
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.status.should.equal(400);
+    err.data.type.should.equal('ValidationError');
+  });
+
+  it('should deny an unauthorized request', async function() {
+    let err;
+    try {
+      await httpClient.get(baseUrl, {agent});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.status.should.equal(403);
+    err.data.type.should.equal('NotAllowedError');
+  });
+});
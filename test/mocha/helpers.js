@@ -25,6 +25,37 @@ export const RESOURCES = {
   STRAWBERRY: uuid(),
   TANGERINE: uuid(),
   MEMBER_ONLY: uuid(),
+  SESSION: uuid(),
+  API_CALL: uuid(),
+  REPORT: uuid(),
+  INVOICE: uuid(),
+  DOWNLOAD: uuid(),
+  EXPORT: uuid(),
+  VIEW: uuid(),
+  WIDGET: uuid(),
+  SEAT_LICENSE: uuid(),
+  COMMENT: uuid(),
+  TRANSFER: uuid(),
+  OTP: uuid(),
+  PASSWORD_RESET: uuid(),
+  BUILD: uuid(),
+  BATCH_JOB: uuid(),
+  COUPON: uuid(),
+  PROMOTION: uuid(),
+  BETA_FEATURE: uuid(),
+  QUOTA: uuid(),
+  SMS: uuid(),
+  WEBHOOK: uuid(),
+  CREDIT: uuid(),
+  GIFT_CARD: uuid(),
+  STORAGE: uuid(),
+  RENDER_JOB: uuid(),
+  BILLING: uuid(),
+  UPLOAD: uuid(),
+  SEARCH: uuid(),
+  ARCHIVE: uuid(),
+  MIDDLEWARE_CALL: uuid(),
+  DATASET_PREFIX: `urn:dataset:${uuid()}:`,
   GEOGRAPHICAL_ANY: 'urn:geo:any',
   GEOGRAPHICAL_EAST: 'urn:geo:east',
   GEOGRAPHICAL_WEST: 'urn:geo:west'
@@ -73,4 +104,5 @@ export async function cleanDB() {
   await database.collections['tokenizer-tokenizer'].deleteMany({});
   await database.collections['resource-restriction-restriction'].deleteMany({});
   await database.collections['resource-restriction-acquisition'].deleteMany({});
+  await database.collections['resource-restriction-zone'].deleteMany({});
 }
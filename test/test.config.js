@@ -5,6 +5,7 @@ import {config} from '@bedrock/core';
 import {fileURLToPath} from 'node:url';
 import path from 'node:path';
 import '@bedrock/https-agent';
+import '@bedrock/resource-restriction';
 import '@bedrock/mongodb';
 import '@bedrock/tokenizer';
 
@@ -26,3 +27,6 @@ config['https-agent'].rejectUnauthorized = false;
 
 config.tokenizer.kms.baseUrl = `${config.server.baseUri}/kms`;
 config.tokenizer.kms.ipAllowList = ['127.0.0.1/32', '::1/128'];
+
+// enable HTTP API for managing restrictions
+config['resource-restriction'].http.enabled = true;
@@ -2,6 +2,7 @@
  * Copyright (c) 2020-2026 Digital Bazaar, Inc.
  */
 import * as bedrock from '@bedrock/core';
+import * as http from '@bedrock/resource-restriction/http';
 import {handlers} from '@bedrock/meter-http';
 import {restrictions} from '@bedrock/resource-restriction';
 import '@bedrock/https-agent';
@@ -40,6 +41,15 @@ bedrock.events.on('bedrock.init', async () => {
     method: 'limitByAcquirerMembership',
     fn: _limitByAcquirerMembership
   });
+  restrictions.registerMethod({
+    method: 'alwaysFail',
+    fn: _alwaysFail
+  });
+
+  // only authorize HTTP API requests that include the test admin header
+  http.setAuthorizeHandler({
+    handler: ({req}) => req.get('x-test-admin') === 'true'
+  });
 });
 
 bedrock.start();
@@ -125,3 +135,8 @@ async function _limitByAcquirerMembership({
     insufficientAcquirerMeta
   };
 }
+
+// test a restriction whose method fails
+async function _alwaysFail() {
+  throw new Error('Restriction method failed.');
+}